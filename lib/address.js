@@ -0,0 +1,109 @@
+/**
+ * Structured seller addresses.
+ *
+ * The API returns the address as components (street1, street2, city, state,
+ * postCode, country); the storefront page and older CSV rows only have the
+ * comma-joined `registeredAddress`, which splitAddress takes apart again
+ * (country from the last part, UK postcode wherever it appears).
+ *
+ * addressColumns adds the export fields:
+ *   addressStreet1 … addressCountry        the components
+ *   addressCountryIso2 / addressCountryIso3 normalised address country
+ *   shippedFromIso2 / shippedFromIso3       normalised shipping country
+ *   postCodeValid                           UK postcode format check
+ *                                           (true/false for GB addresses, '' otherwise)
+ */
+
+import { lookupCountry } from './countries.js';
+
+export const ADDRESS_PARTS = ['street1', 'street2', 'city', 'state', 'postCode', 'country'];
+
+// Royal Mail format: outward code, space, inward code (plus the GIR 0AA special case)
+const UK_POSTCODE = /^(GIR 0AA|[A-PR-UWYZ](\d{1,2}|[A-HK-Y]\d[\dABEHMNPRV-Y]?|\d[A-HJKPS-UW]) \d[ABD-HJLNP-UW-Z]{2})$/;
+const UK_POSTCODE_LOOSE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})$/i;
+
+// Form defaults left in address fields: "TBC", "--- Please Select ---", "Please select…"
+const PLACEHOLDER = /^(?:tbc|-*\s*please select\b.*)$/i;
+// …and "Please select a region, state or province." with a comma of its own
+const PLACEHOLDER_IN_TEXT = /-*\s*please select\b[^,]*(?:,\s*state or province\b[^,]*)?/gi;
+
+/** True for a blank address field or a placeholder such as "TBC" or "--- Please Select ---". */
+export function isPlaceholder(value) {
+  const text = String(value ?? '').trim();
+  return text === '' || PLACEHOLDER.test(text);
+}
+
+/** Uppercase and put the single space before the inward code: "sk41pq" → "SK4 1PQ". */
+export function normalizeUkPostcode(value) {
+  const compact = String(value ?? '').toUpperCase().replace(/\s+/g, '');
+  if (compact.length < 5) return compact;
+  return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+}
+
+export function isValidUkPostcode(value) {
+  return UK_POSTCODE.test(normalizeUkPostcode(value));
+}
+
+/** Address components from the API's contact information block. */
+export function addressFromApi(addr) {
+  return Object.fromEntries(ADDRESS_PARTS.map((p) => [p, String(addr?.[p] ?? '').trim()]));
+}
+
+/**
+ * Best-effort components from a comma-joined address. The first part is the
+ * street, the part before the postcode (or the country) the city; whatever
+ * is left in between goes to street2. State is not recoverable.
+ * Placeholder parts (isPlaceholder) are dropped first.
+ */
+export function splitAddress(text) {
+  const parts = String(text ?? '')
+    .replace(PLACEHOLDER_IN_TEXT, '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter((part) => !isPlaceholder(part));
+  const result = Object.fromEntries(ADDRESS_PARTS.map((p) => [p, '']));
+
+  if (parts.length > 0 && lookupCountry(parts.at(-1))) result.country = parts.pop();
+
+  for (let i = parts.length - 1; i >= 0; i--) {
+    const m = parts[i].match(UK_POSTCODE_LOOSE);
+    if (!m) continue;
+    result.postCode = `${m[1]} ${m[2]}`.toUpperCase();
+    const rest = parts[i].slice(0, m.index).trim();
+    if (rest) parts[i] = rest;
+    else parts.splice(i, 1);
+    break;
+  }
+
+  if (parts.length > 0) result.street1 = parts.shift();
+  if (parts.length > 0) result.city = parts.pop();
+  result.street2 = parts.join(', ');
+  return result;
+}
+
+/**
+ * Export columns for a seller record. `components` are the API address
+ * parts when available; otherwise registeredAddress is split.
+ */
+export function addressColumns({ registeredAddress, shippedFrom }, components) {
+  const address = components ?? splitAddress(registeredAddress);
+  const country = lookupCountry(address.country);
+  const shipping = lookupCountry(shippedFrom);
+
+  let postCodeValid = '';
+  if (country?.iso2 === 'GB' && address.postCode) postCodeValid = isValidUkPostcode(address.postCode);
+
+  return {
+    addressStreet1: address.street1,
+    addressStreet2: address.street2,
+    addressCity: address.city,
+    addressState: address.state,
+    addressPostCode: country?.iso2 === 'GB' && postCodeValid ? normalizeUkPostcode(address.postCode) : address.postCode,
+    addressCountry: address.country,
+    addressCountryIso2: country?.iso2 ?? '',
+    addressCountryIso3: country?.iso3 ?? '',
+    postCodeValid,
+    shippedFromIso2: shipping?.iso2 ?? '',
+    shippedFromIso3: shipping?.iso3 ?? '',
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * Raw API response archive (--archive).
+ *
+ * Every API response body is appended to results/<market>/raw.ndjson, one
+ * line per fetch:
+ *   {"sellerId":2000,"fetchedAt":"2026-…","source":"api","raw":{"data":{…}}}
+ * The archive keeps every attribute the export drops, so `reprocess` can
+ * build new columns (--fields) from old runs without fetching again.
+ */
+
+import { appendFileSync, existsSync, readFileSync } from 'node:fs';
+
+export function openArchive(path) {
+  return {
+    path,
+    /** Append a scrape result if it carries a raw response body. */
+    append(result) {
+      if (result.raw == null) return;
+      const line = { sellerId: result.sellerId, fetchedAt: new Date().toISOString(), source: result.source, raw: result.raw };
+      appendFileSync(path, JSON.stringify(line) + '\n', 'utf-8');
+    },
+  };
+}
+
+/** Latest archived response per seller: Map of sellerId -> entry. */
+export function loadArchive(path) {
+  const entries = new Map();
+  if (!existsSync(path)) return entries;
+
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      entries.set(Number(entry.sellerId), entry);
+    } catch {
+      // torn last line from an interrupted run
+    }
+  }
+  return entries;
+}
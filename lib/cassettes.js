@@ -0,0 +1,145 @@
+/**
+ * Offline record/replay of HTTP traffic (--record / --replay).
+ *
+ * Both wrap `fetch` and are passed to lib/sources.js as the `fetch` request
+ * option, so every branch of fetchWithRetry (404/410, 429 + Retry-After,
+ * non-OK retries, thrown errors, JSON parsing) runs unchanged:
+ *
+ * - recordingFetch(dir) performs the real request and saves one cassette
+ *   per URL to `dir` (the latest response wins):
+ *     { request: { method, url }, response: { status, statusText, headers, body } }
+ *   or { request, error } when the request threw. Request headers are not
+ *   saved, so the API key never ends up on disk.
+ * - replayFetch(dir, { faults, seed }) answers from those files without
+ *   touching the network. A URL without a cassette fails at once (no retry).
+ *
+ * Fault injection (replay only) turns a share of requests into failures:
+ *   faults = { '429': 0.1, '5xx': 0.05, timeout: 0.02 }
+ * - 429:     Too Many Requests with `Retry-After: 1`
+ * - 5xx:     503 Service Unavailable
+ * - timeout: never answers, so the per-attempt timeout fires
+ * Faults are drawn from a seeded PRNG, so a run with the same seed and
+ * concurrency 1 fails the same requests every time.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+
+export const FAULT_KINDS = ['429', '5xx', 'timeout'];
+
+// Response headers worth keeping — the rest is CDN noise
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+export function cassettePath(dir, method, url) {
+  const { host, pathname, search } = new URL(url);
+  const name = `${method}_${host}${pathname}${search}`.replace(/[^A-Za-z0-9.-]+/g, '_');
+  return `${dir}/${name}.json`;
+}
+
+export function recordingFetch(dir, baseFetch = fetch) {
+  mkdirSync(dir, { recursive: true });
+
+  return async (url, init = {}) => {
+    const method = init.method ?? 'GET';
+    const path = cassettePath(dir, method, url);
+    const request = { method, url };
+
+    let resp;
+    let body;
+    try {
+      resp = await baseFetch(url, init);
+      body = await resp.text();
+    } catch (err) {
+      // An abort is the run's (or the timeout's) doing, not the server's
+      if (!init.signal?.aborted) save(path, { request, error: err?.message || String(err) });
+      throw err;
+    }
+
+    const headers = {};
+    for (const name of KEPT_HEADERS) {
+      const value = resp.headers.get(name);
+      if (value != null) headers[name] = value;
+    }
+    save(path, { request, response: { status: resp.status, statusText: resp.statusText, headers, body } });
+    return new Response(nullBodyStatus(resp.status) ? null : body, { status: resp.status, statusText: resp.statusText, headers });
+  };
+}
+
+export function replayFetch(dir, { faults = {}, seed = 1 } = {}) {
+  if (!existsSync(dir)) throw new Error(`No cassette directory ${dir} — record one with --record ${dir}`);
+  const random = mulberry32(seed);
+
+  return async (url, init = {}) => {
+    const method = init.method ?? 'GET';
+
+    const fault = pickFault(faults, random());
+    if (fault === '429') return new Response('Too Many Requests', { status: 429, headers: { 'retry-after': '1' } });
+    if (fault === '5xx') return new Response('Service Unavailable', { status: 503 });
+    if (fault === 'timeout') return hang(init.signal);
+
+    const path = cassettePath(dir, method, url);
+    if (!existsSync(path)) throw new CassetteMissError(`No cassette for ${method} ${url}`);
+
+    const cassette = JSON.parse(readFileSync(path, 'utf-8'));
+    if (cassette.error) throw new Error(cassette.error);
+    const { status, statusText, headers, body } = cassette.response;
+    return new Response(nullBodyStatus(status) ? null : body, { status, statusText, headers });
+  };
+}
+
+/** "429=0.1,5xx=0.05,timeout=0.02" → { '429': 0.1, '5xx': 0.05, timeout: 0.02 } */
+export function parseFaults(spec) {
+  const faults = {};
+  for (const part of String(spec).split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [kind, value] = part.split('=');
+    const rate = Number(value);
+    if (!FAULT_KINDS.includes(kind) || !(rate >= 0 && rate <= 1)) {
+      throw new Error(`Invalid fault "${part}" (expected e.g. 429=0.1,5xx=0.05,timeout=0.02)`);
+    }
+    faults[kind] = rate;
+  }
+  const total = Object.values(faults).reduce((a, b) => a + b, 0);
+  if (total > 1) throw new Error(`Fault rates add up to ${total} (at most 1)`);
+  return faults;
+}
+
+class CassetteMissError extends Error {
+  name = 'CassetteMissError';
+  // Retrying can't make a missing file appear
+  retryable = false;
+}
+
+function save(path, cassette) {
+  writeFileSync(path, JSON.stringify({ ...cassette, recordedAt: new Date().toISOString() }, null, 2) + '\n', 'utf-8');
+}
+
+function nullBodyStatus(status) {
+  return status === 204 || status === 205 || status === 304;
+}
+
+function pickFault(faults, roll) {
+  let edge = 0;
+  for (const kind of FAULT_KINDS) {
+    edge += faults[kind] ?? 0;
+    if (roll < edge) return kind;
+  }
+  return null;
+}
+
+/** A request that never answers; rejects like fetch once `signal` aborts. */
+function hang(signal) {
+  return new Promise((_, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+}
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
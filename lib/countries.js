@@ -0,0 +1,99 @@
+/**
+ * Country normalisation.
+ *
+ * Seller data spells countries every way: ISO alpha-3 from the API
+ * (`GBR`), alpha-2 (`GB`), or free text (`UK`, `United Kingdom`,
+ * `Great Britain`, `England`). toIso2 / toIso3 map all of these onto ISO 3166.
+ */
+
+// [iso2, iso3, name, ...aliases]
+const COUNTRIES = [
+  ['GB', 'GBR', 'United Kingdom', 'UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland', 'U.K.', 'United Kingdom of Great Britain and Northern Ireland',
+    // Misspellings seen in seller data
+    'United Kingdon', 'Untied Kingdom'],
+  ['IE', 'IRL', 'Ireland', 'Republic of Ireland', 'Eire'],
+  ['FR', 'FRA', 'France'],
+  ['DE', 'DEU', 'Germany', 'Deutschland'],
+  ['NL', 'NLD', 'Netherlands', 'The Netherlands', 'Holland'],
+  ['BE', 'BEL', 'Belgium'],
+  ['LU', 'LUX', 'Luxembourg'],
+  ['ES', 'ESP', 'Spain', 'España'],
+  ['PT', 'PRT', 'Portugal'],
+  ['IT', 'ITA', 'Italy', 'Italia'],
+  ['AT', 'AUT', 'Austria'],
+  ['CH', 'CHE', 'Switzerland'],
+  ['PL', 'POL', 'Poland', 'Polska'],
+  ['CZ', 'CZE', 'Czech Republic', 'Czechia'],
+  ['SK', 'SVK', 'Slovakia'],
+  ['HU', 'HUN', 'Hungary'],
+  ['RO', 'ROU', 'Romania'],
+  ['BG', 'BGR', 'Bulgaria'],
+  ['GR', 'GRC', 'Greece'],
+  ['HR', 'HRV', 'Croatia'],
+  ['SI', 'SVN', 'Slovenia'],
+  ['DK', 'DNK', 'Denmark'],
+  ['SE', 'SWE', 'Sweden'],
+  ['NO', 'NOR', 'Norway'],
+  ['FI', 'FIN', 'Finland'],
+  ['EE', 'EST', 'Estonia'],
+  ['LV', 'LVA', 'Latvia'],
+  ['LT', 'LTU', 'Lithuania'],
+  ['CY', 'CYP', 'Cyprus'],
+  ['MT', 'MLT', 'Malta'],
+  ['IS', 'ISL', 'Iceland'],
+  ['AL', 'ALB', 'Albania'],
+  ['RS', 'SRB', 'Serbia'],
+  ['UA', 'UKR', 'Ukraine'],
+  ['JE', 'JEY', 'Jersey'],
+  ['GG', 'GGY', 'Guernsey'],
+  ['IM', 'IMN', 'Isle of Man'],
+  ['TR', 'TUR', 'Turkey', 'Türkiye'],
+  ['US', 'USA', 'United States', 'United States of America', 'U.S.A.'],
+  ['CA', 'CAN', 'Canada'],
+  ['CN', 'CHN', 'China', "People's Republic of China", 'PRC'],
+  ['HK', 'HKG', 'Hong Kong'],
+  ['TW', 'TWN', 'Taiwan'],
+  ['JP', 'JPN', 'Japan'],
+  ['KR', 'KOR', 'South Korea', 'Korea'],
+  ['IN', 'IND', 'India'],
+  ['VN', 'VNM', 'Vietnam', 'Viet Nam'],
+  ['TH', 'THA', 'Thailand'],
+  ['MY', 'MYS', 'Malaysia'],
+  ['SG', 'SGP', 'Singapore'],
+  ['AU', 'AUS', 'Australia'],
+  ['NZ', 'NZL', 'New Zealand'],
+  ['AE', 'ARE', 'United Arab Emirates', 'UAE'],
+  ['IL', 'ISR', 'Israel'],
+  ['ZA', 'ZAF', 'South Africa'],
+  ['RW', 'RWA', 'Rwanda'],
+  ['PK', 'PAK', 'Pakistan'],
+  ['BD', 'BGD', 'Bangladesh'],
+];
+
+const BY_KEY = new Map();
+for (const [iso2, iso3, ...names] of COUNTRIES) {
+  const entry = { iso2, iso3, name: names[0] };
+  for (const key of [iso2, iso3, ...names]) BY_KEY.set(countryKey(key), entry);
+}
+
+function countryKey(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+/** { iso2, iso3, name } for any known spelling, or null. */
+export function lookupCountry(value) {
+  if (!value) return null;
+  return BY_KEY.get(countryKey(value)) ?? null;
+}
+
+export function toIso2(value) {
+  return lookupCountry(value)?.iso2 ?? '';
+}
+
+export function toIso3(value) {
+  return lookupCountry(value)?.iso3 ?? '';
+}
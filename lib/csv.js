@@ -0,0 +1,159 @@
+/**
+ * CSV helpers for the results files.
+ * - writer: sellers.csv header/rows with RFC 4180 quoting; text that a
+ *   spreadsheet would run as a formula (=, +, -, @ …) gets a leading `'`
+ * - reader: minimal RFC 4180 parser (quoted fields, doubled quotes,
+ *   embedded commas/newlines) for reading our own output back
+ */
+
+import { writeFileSync, existsSync, appendFileSync, readFileSync } from 'node:fs';
+import { writeFileAtomic } from './journal.js';
+
+export const CSV_COLUMNS = [
+  'sellerId',
+  'businessName',
+  'vatNumber',
+  'registeredAddress',
+  'shippedFrom',
+  'sourceUrl',
+  'taxIdType',
+  'taxIdNormalized',
+  'taxIdValid',
+  'addressStreet1',
+  'addressStreet2',
+  'addressCity',
+  'addressState',
+  'addressPostCode',
+  'addressCountry',
+  'addressCountryIso2',
+  'addressCountryIso3',
+  'postCodeValid',
+  'shippedFromIso2',
+  'shippedFromIso3',
+  'parseConfidence',
+  'needsReview',
+  'tradingName',
+  'returnsPolicy',
+  'contactGuidance',
+  'contactDetails',
+  'sellerSummary',
+  'addressSource',
+];
+
+/**
+ * Default headers of earlier releases, as column counts: each one was the
+ * first N of CSV_COLUMNS (the 6-column original, then tax IDs, address
+ * components, parse confidence, seller page details). A sellers.csv with
+ * exactly one of these headers can be upgraded in place.
+ */
+export const EARLIER_DEFAULT_WIDTHS = [6, 9, 20, 22, 27];
+
+/** True for a header that CSV_COLUMNS was at some earlier release. */
+export function isEarlierDefaultHeader(header) {
+  return EARLIER_DEFAULT_WIDTHS.includes(header.length) && header.every((c, i) => c === CSV_COLUMNS[i]);
+}
+
+export function initCsv(path, columns = CSV_COLUMNS) {
+  if (!existsSync(path)) {
+    writeFileSync(path, columns.join(',') + '\n', 'utf-8');
+  }
+}
+
+/** Header columns of an existing CSV file, or null if it doesn't exist. */
+export function readCsvHeader(path) {
+  if (!existsSync(path)) return null;
+  const text = readFileSync(path, 'utf-8').replace(/^\uFEFF/, '');
+  return parseCsv(text.slice(0, text.indexOf('\n') + 1 || undefined))[0] ?? [];
+}
+
+export function appendCsvRow(path, data, columns = CSV_COLUMNS) {
+  appendFileSync(path, csvLine(data, columns), 'utf-8');
+}
+
+/** Replace `path` (atomically) with a header and one row per record. */
+export function writeCsv(path, records, columns = CSV_COLUMNS) {
+  const lines = [columns.join(',') + '\n'];
+  for (const record of records) lines.push(csvLine(record, columns));
+  writeFileAtomic(path, lines.join(''));
+}
+
+export function csvLine(data, columns = CSV_COLUMNS) {
+  return columns.map((col) => csvEscape(data[col])).join(',') + '\n';
+}
+
+export function csvEscape(value) {
+  let val = value ?? '';
+  if (typeof val === 'object') val = JSON.stringify(val);
+  val = guardFormula(String(val));
+  if (val.includes(',') || val.includes('"') || val.includes('\n')) {
+    return `"${val.replace(/"/g, '""')}"`;
+  }
+  return val;
+}
+
+// Seller names like "=HYPERLINK(…)" or "+44 …" would run as formulas in
+// Excel / Sheets. Plain numbers ("-5", "+1.5") are left alone.
+const FORMULA_START = /^[=+\-@\t\r]./s;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+export function guardFormula(text) {
+  return FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text;
+}
+
+/** Undo guardFormula when reading our own output back. */
+export function unguardFormula(text) {
+  return /^'[=+\-@\t\r]./s.test(text) ? text.slice(1) : text;
+}
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') inQuotes = true;
+    else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/** Parse a CSV with a header line into an array of objects keyed by column. */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  return rows
+    .filter((r) => r.length > 1 || r[0] !== '')
+    .map((r) => Object.fromEntries(header.map((col, i) => [col, unguardFormula(r[i] ?? '')])));
+}
@@ -0,0 +1,257 @@
+/**
+ * Entity resolution: which seller IDs are the same company (`entities`).
+ *
+ * Two sellers are linked when
+ * - taxId:        their normalised tax IDs (taxIdNormalized) are equal —
+ *                 filler numbers like GB000000000 don't count — or
+ * - namePostcode: they share a postcode (or, without one, the whole
+ *                 registered address) and their business names are at least
+ *                 `threshold` similar once casing, punctuation and legal
+ *                 suffixes (Ltd, Limited, GmbH, …) are ignored
+ * and every chain of links forms one cluster. A cluster's ID is its lowest
+ * seller ID, so it stays put as long as that seller does.
+ *
+ * Each row of the entity table says which link put the seller in its
+ * cluster: the seller it matched, the reason and the score (1 for tax IDs,
+ * the name similarity otherwise). The cluster's own seller has no match.
+ */
+
+import { normalizeUkPostcode } from './address.js';
+import { isDummyTaxId } from './taxid.js';
+
+export const DEFAULT_THRESHOLD = 0.9;
+
+/** Record columns resolveEntities reads. */
+export const ENTITY_INPUT_COLUMNS = ['sellerId', 'businessName', 'taxIdNormalized', 'registeredAddress', 'addressPostCode'];
+
+export const ENTITY_COLUMNS = [
+  'sellerId',
+  'clusterId',
+  'clusterSize',
+  'businessName',
+  'taxIdNormalized',
+  'addressPostCode',
+  'matchedSellerId',
+  'matchReason',
+  'matchScore',
+];
+
+// Dropped before comparing names; "Acme Ltd" and "ACME LIMITED" are one company
+const LEGAL_SUFFIXES = new Set([
+  'ltd', 'limited', 'plc', 'llp', 'llc', 'inc', 'incorporated', 'co', 'company', 'corp', 'corporation',
+  'gmbh', 'ag', 'kg', 'bv', 'nv', 'sa', 'sas', 'sarl', 'sl', 'srl', 'spa', 'sro', 'spzoo', 'oy', 'ab', 'as', 'aps',
+]);
+
+export function resolveEntities(records, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const sellers = records
+    .map((r) => ({
+      sellerId: Number(r.sellerId),
+      businessName: String(r.businessName ?? '').trim(),
+      taxIdNormalized: String(r.taxIdNormalized ?? '').trim(),
+      addressPostCode: String(r.addressPostCode ?? '').trim(),
+      name: normalizeName(r.businessName),
+      block: blockKey(r),
+    }))
+    .sort((a, b) => a.sellerId - b.sellerId);
+
+  const parent = new Map(sellers.map((s) => [s.sellerId, s.sellerId]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  // Only links that join two clusters are kept: a spanning forest
+  const links = [];
+  const link = (a, b, reason, score) => {
+    const ra = find(a.sellerId);
+    const rb = find(b.sellerId);
+    if (ra === rb) return;
+    parent.set(Math.max(ra, rb), Math.min(ra, rb));
+    links.push({ a: a.sellerId, b: b.sellerId, reason, score });
+  };
+
+  // Exact tax IDs first, so a seller's reason is the strongest one available
+  for (const group of groupBy(sellers, (s) => (isDummyTaxId(s.taxIdNormalized) ? '' : s.taxIdNormalized))) {
+    for (const other of group.slice(1)) link(group[0], other, 'taxId', 1);
+  }
+
+  for (const group of groupBy(sellers, (s) => s.block)) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const score = nameSimilarity(group[i].name, group[j].name);
+        if (score >= threshold) link(group[i], group[j], 'namePostcode', round(score));
+      }
+    }
+  }
+
+  const matchOf = matchesFromRoots(sellers, links, find);
+  const sizes = new Map();
+  for (const s of sellers) sizes.set(find(s.sellerId), (sizes.get(find(s.sellerId)) ?? 0) + 1);
+
+  const entities = sellers.map((s) => {
+    const clusterId = find(s.sellerId);
+    const match = matchOf.get(s.sellerId);
+    return {
+      sellerId: s.sellerId,
+      clusterId,
+      clusterSize: sizes.get(clusterId),
+      businessName: s.businessName,
+      taxIdNormalized: s.taxIdNormalized,
+      addressPostCode: s.addressPostCode,
+      matchedSellerId: match?.sellerId ?? '',
+      matchReason: match?.reason ?? '',
+      matchScore: match?.score ?? '',
+    };
+  });
+
+  const clusters = [...sizes].filter(([, size]) => size > 1).map(([clusterId, size]) => ({ clusterId, size }));
+  return {
+    entities,
+    summary: {
+      sellers: sellers.length,
+      entities: sizes.size,
+      clusters: clusters.length,
+      sellersInClusters: clusters.reduce((n, c) => n + c.size, 0),
+      byReason: {
+        taxId: links.filter((l) => l.reason === 'taxId').length,
+        namePostcode: links.filter((l) => l.reason === 'namePostcode').length,
+      },
+      threshold,
+    },
+  };
+}
+
+/** Human-readable summary with the largest clusters. */
+export function formatEntityReport({ entities, summary }, { top = 10 } = {}) {
+  const out = [];
+  out.push(`Sellers:                 ${summary.sellers}`);
+  out.push(`Entities (companies):    ${summary.entities}`);
+  out.push(`Clusters of 2+ sellers:  ${summary.clusters} (${summary.sellersInClusters} sellers)`);
+  out.push(`Links by tax ID:         ${summary.byReason.taxId}`);
+  out.push(`Links by name+postcode:  ${summary.byReason.namePostcode} (threshold ${summary.threshold})`);
+
+  const clusters = groupBy(entities.filter((e) => e.clusterSize > 1), (e) => String(e.clusterId))
+    .sort((a, b) => b.length - a.length || a[0].clusterId - b[0].clusterId)
+    .slice(0, top);
+  if (clusters.length) {
+    out.push('', `Largest clusters:`);
+    for (const members of clusters) {
+      out.push(`  Cluster ${members[0].clusterId} (${members.length} sellers)`);
+      for (const e of members) {
+        const why = e.matchReason ? `${e.matchReason} ${e.matchScore} ~ ${e.matchedSellerId}` : 'cluster ID';
+        out.push(`    ${String(e.sellerId).padEnd(7)} ${e.businessName || '(no name)'} [${why}]`);
+      }
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * "The Acme Trading Co. Ltd" → "acme trading". Accents folded, "&" read as
+ * "and", legal suffixes and a leading "the" dropped. A name that is nothing
+ * but suffixes keeps them.
+ */
+export function normalizeName(value) {
+  const words = String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    // "s.r.o." / "sp. z o.o." → "sro" / "spzoo" before punctuation becomes spaces
+    .replace(/\b(?:[a-z]\.){2,}/g, (m) => m.replace(/\./g, ''))
+    .replace(/\bsp\.?\s*z\s*o\.?\s*o\.?/g, 'spzoo')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  if (words[0] === 'the' && words.length > 1) words.shift();
+
+  let end = words.length;
+  while (end > 1 && LEGAL_SUFFIXES.has(words[end - 1])) end--;
+  return words.slice(0, end).join(' ');
+}
+
+/**
+ * Sørensen–Dice coefficient over character bigrams of the names with spaces
+ * removed: 1 for identical names, 0 for nothing in common.
+ */
+export function nameSimilarity(a, b) {
+  const x = a.replace(/ /g, '');
+  const y = b.replace(/ /g, '');
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const bg = x.slice(i, i + 2);
+    bigrams.set(bg, (bigrams.get(bg) ?? 0) + 1);
+  }
+  let shared = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const bg = y.slice(i, i + 2);
+    const count = bigrams.get(bg);
+    if (count) {
+      shared++;
+      bigrams.set(bg, count - 1);
+    }
+  }
+  return (2 * shared) / (x.length - 1 + y.length - 1);
+}
+
+/** The normalised postcode, or the whole address when there is none. */
+function blockKey(record) {
+  const postcode = String(record.addressPostCode ?? '').trim();
+  if (postcode) return `postcode:${normalizeUkPostcode(postcode)}`;
+  const address = String(record.registeredAddress ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+  return address ? `address:${address}` : '';
+}
+
+/**
+ * For every seller but a cluster's root, the link that connects it towards
+ * the root: { sellerId (the seller it matched), reason, score }.
+ */
+function matchesFromRoots(sellers, links, find) {
+  const adjacent = new Map();
+  for (const l of links) {
+    for (const [from, to] of [[l.a, l.b], [l.b, l.a]]) {
+      if (!adjacent.has(from)) adjacent.set(from, []);
+      adjacent.get(from).push({ sellerId: to, reason: l.reason, score: l.score });
+    }
+  }
+
+  const matches = new Map();
+  for (const s of sellers) {
+    if (find(s.sellerId) !== s.sellerId) continue;
+    const queue = [s.sellerId];
+    const seen = new Set(queue);
+    while (queue.length) {
+      const id = queue.shift();
+      for (const next of adjacent.get(id) ?? []) {
+        if (seen.has(next.sellerId)) continue;
+        seen.add(next.sellerId);
+        matches.set(next.sellerId, { sellerId: id, reason: next.reason, score: next.score });
+        queue.push(next.sellerId);
+      }
+    }
+  }
+  return matches;
+}
+
+/** Items grouped by `key` in first-seen order; items with an empty key are left out. */
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = key(item);
+    if (!k) continue;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return [...groups.values()];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
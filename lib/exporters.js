@@ -0,0 +1,132 @@
+/**
+ * Exporters for `export --format` / `reprocess --format`.
+ *
+ * Each exporter turns rows (objects keyed by column) into file contents:
+ *   { extension, render(rows, columns, options) → string | Buffer }
+ *
+ * - csv:   RFC 4180 with formula-injection escaping (lib/csv.js); `bom`
+ *          prefixes a UTF-8 BOM so Excel detects the encoding
+ * - tsv:   tab-separated, tabs/newlines inside values become spaces
+ * - jsonl: one JSON object per line
+ * - json:  a pretty-printed array
+ * - sql:   CREATE TABLE IF NOT EXISTS + one INSERT per row (`table` option)
+ * - xlsx:  a single-sheet workbook (lib/xlsx.js)
+ *
+ * writeExport writes to a path, or to stdout when the path is `-`. The flag
+ * columns come back from the files store's CSV as "true"/"false" but from
+ * sellers.db as booleans; writeExport turns both into booleans first, so
+ * every format writes the same thing whichever store the rows came from.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { csvLine, guardFormula, CSV_COLUMNS } from './csv.js';
+import { renderXlsx } from './xlsx.js';
+
+const BOM = '\uFEFF';
+
+const EXPORTERS = {
+  csv: {
+    extension: 'csv',
+    render(rows, columns, { bom = false } = {}) {
+      const lines = [csvLine(Object.fromEntries(columns.map((c) => [c, c])), columns)];
+      for (const row of rows) lines.push(csvLine(row, columns));
+      return (bom ? BOM : '') + lines.join('');
+    },
+  },
+  tsv: {
+    extension: 'tsv',
+    render(rows, columns, { bom = false } = {}) {
+      const line = (values) => values.map(tsvValue).join('\t') + '\n';
+      return (bom ? BOM : '') + [line(columns), ...rows.map((row) => line(columns.map((c) => row[c])))].join('');
+    },
+  },
+  jsonl: {
+    extension: 'jsonl',
+    render(rows, columns) {
+      return rows.map((row) => JSON.stringify(pick(row, columns)) + '\n').join('');
+    },
+  },
+  json: {
+    extension: 'json',
+    render(rows, columns) {
+      return JSON.stringify(rows.map((row) => pick(row, columns)), null, 2) + '\n';
+    },
+  },
+  sql: {
+    extension: 'sql',
+    render(rows, columns, { table = 'sellers' } = {}) {
+      const cols = columns.map(sqlIdentifier).join(', ');
+      const types = columns.map((c) => `  ${sqlIdentifier(c)} ${c === 'sellerId' ? 'INTEGER PRIMARY KEY' : 'TEXT'}`);
+      const lines = [`CREATE TABLE IF NOT EXISTS ${sqlIdentifier(table)} (\n${types.join(',\n')}\n);\n`];
+      for (const row of rows) {
+        lines.push(`INSERT INTO ${sqlIdentifier(table)} (${cols}) VALUES (${columns.map((c) => sqlValue(row[c])).join(', ')});\n`);
+      }
+      return lines.join('');
+    },
+  },
+  xlsx: {
+    extension: 'xlsx',
+    render(rows, columns) {
+      return renderXlsx(rows, columns);
+    },
+  },
+};
+
+export const EXPORT_FORMATS = Object.keys(EXPORTERS);
+
+export function getExporter(format) {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unknown --format "${format}". Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  return exporter;
+}
+
+/** Render `rows` with the `format` exporter and write them to `path` (`-` = stdout). */
+export function writeExport(path, rows, { format = 'csv', columns = CSV_COLUMNS, ...options } = {}) {
+  const output = getExporter(format).render(rows.map(withBooleanFlags), columns, options);
+  if (path === '-') {
+    // A closed pipe (`| head`) just means the reader has seen enough. Any
+    // other write error is reported; throwing here would be an uncaught
+    // exception from inside the stream's event handler.
+    process.stdout.on('error', (err) => {
+      if (err.code === 'EPIPE') process.exit(0);
+      console.error(`Could not write the export to stdout: ${err.message}`);
+      process.exitCode = 1;
+    });
+    process.stdout.write(output);
+  } else writeFileSync(path, output);
+  return path;
+}
+
+const BOOLEAN_COLUMNS = ['taxIdValid', 'postCodeValid', 'needsReview'];
+
+/** `row` with "true"/"false" in the flag columns as booleans (the files store reads them back as text). */
+function withBooleanFlags(row) {
+  const typed = { ...row };
+  for (const c of BOOLEAN_COLUMNS) {
+    if (typed[c] === 'true') typed[c] = true;
+    else if (typed[c] === 'false') typed[c] = false;
+  }
+  return typed;
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map((c) => [c, row[c] ?? '']));
+}
+
+function tsvValue(value) {
+  let val = value ?? '';
+  if (typeof val === 'object') val = JSON.stringify(val);
+  return guardFormula(String(val).replace(/[\t\r\n]+/g, ' '));
+}
+
+function sqlIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+function sqlValue(value) {
+  if (value == null || value === '') return 'NULL';
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `'${text.replace(/'/g, "''")}'`;
+}
@@ -0,0 +1,42 @@
+/**
+ * Configurable output columns (--fields).
+ *
+ * A field is either one of our own record columns (see CSV_COLUMNS, e.g.
+ * `businessName`, `taxIdNormalized`) or a dotted path into the API's
+ * `attributes` object, e.g. `sellerName` or
+ * `corporateContactInformation.postCode` (an `attributes.` prefix is
+ * accepted too). Attribute paths need the raw API response on the record,
+ * so they stay blank for HTML-sourced results.
+ */
+
+/** "sellerId, businessName,contactInformation.email" → ['sellerId', 'businessName', 'contactInformation.email'] */
+export function parseFields(spec) {
+  const fields = String(spec ?? '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (fields.length === 0) throw new Error('--fields needs at least one column name or attribute path');
+  return [...new Set(fields)];
+}
+
+export function fieldValue(record, field) {
+  if (field !== 'raw' && Object.hasOwn(record, field)) return record[field];
+
+  let raw = record.raw;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return '';
+    }
+  }
+  const path = field.replace(/^attributes\./, '').split('.');
+  let value = raw?.data?.attributes;
+  for (const key of path) {
+    if (value == null || typeof value !== 'object') return '';
+    value = value[key];
+  }
+  return value ?? '';
+}
+
+/** A row object holding exactly `fields`. */
+export function projectRecord(record, fields) {
+  return Object.fromEntries(fields.map((f) => [f, fieldValue(record, f)]));
+}
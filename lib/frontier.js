@@ -0,0 +1,114 @@
+/**
+ * Discovery of the seller-ID frontier (the highest assigned seller ID).
+ *
+ * Seller IDs are handed out in blocks with gaps between them (up to ~2000
+ * empty IDs in the B&Q data), so a single empty ID says nothing: the
+ * frontier is the last seller before `emptyWindow` consecutive empty IDs.
+ * Fetching whole windows to find it would cost thousands of requests per
+ * probe, so the search only samples them:
+ *
+ *   1. exponential probing from the highest known seller until a window
+ *      looks empty
+ *   2. binary search between the last hit and that window
+ *   3. a tail scan upward from the last hit until `emptyWindow` consecutive
+ *      IDs are empty — the only full check of a window
+ *
+ * A probe fetches one chunk of IDs spread evenly over the window, so any
+ * block wider than the gap between samples is seen. A block the samples
+ * miss only makes the candidate edge too low; the tail scan then walks on
+ * through it, as it fetches every ID.
+ *
+ * Follow-up runs only need step 3, starting from the stored frontier.
+ *
+ * `fetchChunk(ids)` resolves to an array of { sellerId, status } with
+ * status 'ok' | 'empty' | 'error'; errors count as "no seller".
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+
+export const DEFAULT_EMPTY_WINDOW = 2500;
+
+export async function discoverFrontier({ start, emptyWindow = DEFAULT_EMPTY_WINDOW, chunkSize, fetchChunk, log = () => {}, shouldStop }) {
+  const probe = (from) => sampleWindow(from, { emptyWindow, chunkSize, fetchChunk });
+
+  // 1) Exponential probing
+  let lo = start;
+  let step = emptyWindow;
+  let hi;
+  while (true) {
+    if (shouldStop?.()) return null;
+    const hit = await probe(lo + step);
+    log(`probe ${lo + step}–${lo + step + emptyWindow - 1}: ${hit != null ? `seller at ${hit}` : 'none sampled'}`);
+    if (hit == null) {
+      hi = lo + step;
+      break;
+    }
+    lo = hit;
+    step *= 2;
+  }
+
+  // 2) Binary search: a seller at `lo`, a window without one at `hi`
+  while (hi - lo > emptyWindow) {
+    if (shouldStop?.()) return null;
+    const mid = Math.floor((lo + hi) / 2);
+    const hit = await probe(mid);
+    log(`bisect ${mid}–${mid + emptyWindow - 1}: ${hit != null ? `seller at ${hit}` : 'none sampled'}`);
+    if (hit != null) lo = hit;
+    else hi = mid;
+  }
+
+  // 3) Tail scan from the last hit: confirms the empty window ID by ID
+  return scanFrontierTail({ from: lo + 1, emptyWindow, chunkSize, fetchChunk, log, shouldStop });
+}
+
+/**
+ * Scan upward from `from` until `emptyWindow` consecutive IDs have no seller.
+ * Resolves to the highest seller ID seen (or `from - 1` if none), or null
+ * when stopped early.
+ */
+export async function scanFrontierTail({ from, emptyWindow = DEFAULT_EMPTY_WINDOW, chunkSize, fetchChunk, log = () => {}, shouldStop }) {
+  let lastFound = from - 1;
+  let next = from;
+
+  while (next - lastFound <= emptyWindow) {
+    if (shouldStop?.()) return null;
+    const ids = range(next, next + chunkSize - 1);
+    for (const r of await fetchChunk(ids)) {
+      if (r.status === 'ok' && r.sellerId > lastFound) lastFound = r.sellerId;
+    }
+    next += chunkSize;
+  }
+
+  log(`tail ${from}–${next - 1}: highest seller ${lastFound >= from ? lastFound : 'none'}`);
+  return lastFound;
+}
+
+/**
+ * Highest seller ID among `chunkSize` IDs spread evenly over
+ * [from, from + emptyWindow), or null when none of them is a seller.
+ */
+async function sampleWindow(from, { emptyWindow, chunkSize, fetchChunk }) {
+  const count = Math.min(chunkSize, emptyWindow);
+  const ids = Array.from({ length: count }, (_, k) => from + Math.floor((k * emptyWindow) / count));
+  const found = (await fetchChunk(ids)).filter((r) => r.status === 'ok').map((r) => r.sellerId);
+  return found.length > 0 ? Math.max(...found) : null;
+}
+
+function range(from, to) {
+  const ids = [];
+  for (let id = from; id <= to; id++) ids.push(id);
+  return ids;
+}
+
+// --- frontier.json ---
+
+export function loadFrontier(path) {
+  if (!existsSync(path)) return null;
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+export function saveFrontier(path, frontier, { emptyWindow }) {
+  const data = { frontier, emptyWindow, updatedAt: new Date().toISOString() };
+  writeFileSync(path, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+  return data;
+}
@@ -0,0 +1,395 @@
+/**
+ * Lightweight HTML tokenizer and DOM — enough of the HTML parsing rules for
+ * seller pages, with no dependency.
+ *
+ * parseHtml(html) walks the document once and returns a tree:
+ *   element: { type: 'element', name, attrs, children, parent }
+ *   text:    { type: 'text', text, parent }   (entities already decoded)
+ * Comments, doctypes and the contents of <script>/<style> are dropped.
+ * Void elements (<br>, <img>…) never take children, optional end tags are
+ * implied (<p>, <li>, <dt>/<dd>, table rows and cells) and stray end tags are
+ * ignored, so broken markup still nests the way a browser would show it.
+ *
+ * On top of the tree:
+ * - querySelectorAll / querySelector with tag, #id, .class, [attr],
+ *   [attr=v|~=v|^=v|$=v|*=v], descendant and `>` child combinators and
+ *   comma-separated groups
+ * - innerText: text with line breaks around block elements, like a browser
+ *   renders it; `skip(node)` leaves out whole subtrees
+ * - decodeEntities: all numeric references and the HTML 4 named set (plus
+ *   &apos;); unknown names are left as written. In attribute values a legacy
+ *   reference without ";" followed by a letter, digit or "=" stays as
+ *   written too, so "?region=uk&copy=1" keeps its query string
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+// Contents are not markup; script and style are dropped entirely
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const DROPPED_ELEMENTS = new Set(['script', 'style']);
+
+// Elements whose start tag closes an open <p>
+const CLOSES_P = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+
+// Start tag → open elements it implicitly ends (innermost first)
+const IMPLIED_END = {
+  li: ['li'],
+  dt: ['dt', 'dd'],
+  dd: ['dt', 'dd'],
+  tr: ['td', 'th', 'tr'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  tbody: ['td', 'th', 'tr', 'thead', 'tbody'],
+  tfoot: ['td', 'th', 'tr', 'thead', 'tbody'],
+  option: ['option'],
+};
+
+// Rendered on lines of their own by innerText
+const BLOCK_ELEMENTS = new Set([
+  ...CLOSES_P, 'br', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'caption', 'thead', 'tbody', 'tfoot',
+  'figcaption', 'summary', 'option', 'legend', 'body', 'html',
+]);
+
+const TAG_OPEN = /<(\/?)([A-Za-z][A-Za-z0-9:-]*)/y;
+const ATTRIBUTE = /[\s/]*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+const TAG_END = /[\s/]*?(\/?)\s*>/y;
+
+export function parseHtml(html) {
+  const root = { type: 'element', name: '#document', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const appendText = (raw) => {
+    if (!raw) return;
+    const parent = current();
+    const text = decodeEntities(raw);
+    const last = parent.children[parent.children.length - 1];
+    if (last?.type === 'text') last.text += text;
+    else parent.children.push({ type: 'text', text, parent });
+  };
+
+  const closeTo = (index) => {
+    stack.length = index;
+  };
+
+  let i = 0;
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt < 0) {
+      appendText(html.slice(i));
+      break;
+    }
+    appendText(html.slice(i, lt));
+
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      i = end < 0 ? html.length : end + 3;
+      continue;
+    }
+    if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      const end = html.indexOf('>', lt);
+      i = end < 0 ? html.length : end + 1;
+      continue;
+    }
+
+    TAG_OPEN.lastIndex = lt;
+    const open = TAG_OPEN.exec(html);
+    if (!open) {
+      appendText('<');
+      i = lt + 1;
+      continue;
+    }
+    const isEnd = open[1] === '/';
+    const name = open[2].toLowerCase();
+
+    // Attributes up to the closing ">"
+    const attrs = {};
+    let pos = TAG_OPEN.lastIndex;
+    let selfClosing = false;
+    for (;;) {
+      TAG_END.lastIndex = pos;
+      const end = TAG_END.exec(html);
+      if (end) {
+        selfClosing = end[1] === '/';
+        pos = TAG_END.lastIndex;
+        break;
+      }
+      ATTRIBUTE.lastIndex = pos;
+      const attr = ATTRIBUTE.exec(html);
+      if (!attr || ATTRIBUTE.lastIndex === pos) {
+        // Junk inside the tag: skip to its end
+        const gt = html.indexOf('>', pos);
+        pos = gt < 0 ? html.length : gt + 1;
+        break;
+      }
+      const key = attr[1].toLowerCase();
+      if (!(key in attrs)) attrs[key] = decodeEntities(attr[2] ?? attr[3] ?? attr[4] ?? '', { attribute: true });
+      pos = ATTRIBUTE.lastIndex;
+    }
+    i = pos;
+
+    if (isEnd) {
+      // Close the nearest matching open element; a stray end tag is ignored
+      for (let k = stack.length - 1; k > 0; k--) {
+        if (stack[k].name === name) {
+          closeTo(k);
+          break;
+        }
+      }
+      continue;
+    }
+
+    const implied = IMPLIED_END[name];
+    if (implied) {
+      while (stack.length > 1 && implied.includes(current().name)) stack.pop();
+    }
+    if (CLOSES_P.has(name)) {
+      const p = stack.findLastIndex((el) => el.name === 'p');
+      if (p > 0) closeTo(p);
+    }
+
+    const element = { type: 'element', name, attrs, children: [], parent: current() };
+    current().children.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const closeRe = new RegExp(`</${name}`, 'gi');
+      closeRe.lastIndex = i;
+      const close = closeRe.exec(html)?.index ?? -1;
+      const contentEnd = close < 0 ? html.length : close;
+      if (!DROPPED_ELEMENTS.has(name)) {
+        const text = decodeEntities(html.slice(i, contentEnd));
+        if (text) element.children.push({ type: 'text', text, parent: element });
+      }
+      const gt = close < 0 ? -1 : html.indexOf('>', close);
+      i = gt < 0 ? html.length : gt + 1;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(name) && !selfClosing) stack.push(element);
+  }
+
+  return root;
+}
+
+// --- selectors ---
+
+/** Elements under `node` (not `node` itself) matching a CSS selector, in document order. */
+export function querySelectorAll(node, selector) {
+  const groups = parseSelector(selector);
+  const found = [];
+  walkElements(node, (el) => {
+    if (groups.some((steps) => matchesSteps(el, steps, steps.length - 1, node))) found.push(el);
+  });
+  return found;
+}
+
+export function querySelector(node, selector) {
+  return querySelectorAll(node, selector)[0] ?? null;
+}
+
+/** Child elements, skipping text. */
+export function elementChildren(node) {
+  return node.children.filter((c) => c.type === 'element');
+}
+
+export function nextElementSibling(node) {
+  const siblings = node.parent?.children ?? [];
+  for (let k = siblings.indexOf(node) + 1; k < siblings.length; k++) {
+    if (siblings[k].type === 'element') return siblings[k];
+  }
+  return null;
+}
+
+function walkElements(node, visit) {
+  for (const child of node.children) {
+    if (child.type !== 'element') continue;
+    visit(child);
+    walkElements(child, visit);
+  }
+}
+
+const SELECTOR_TOKEN = /(?:\s*([>,])\s*|(\s+)|([A-Za-z][A-Za-z0-9-]*|\*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\])/y;
+
+/** "ul.items > li a[href]" → groups of steps: [{ combinator, tag, id, classes, attrs }] */
+function parseSelector(selector) {
+  const groups = [];
+  let steps = [];
+  let step = null;
+  let combinator = ' ';
+  const text = selector.trim();
+
+  const finishStep = () => {
+    if (step) steps.push(step);
+    step = null;
+  };
+
+  SELECTOR_TOKEN.lastIndex = 0;
+  while (SELECTOR_TOKEN.lastIndex < text.length) {
+    const start = SELECTOR_TOKEN.lastIndex;
+    const m = SELECTOR_TOKEN.exec(text);
+    if (!m || SELECTOR_TOKEN.lastIndex === start) throw new Error(`Unsupported selector "${selector}"`);
+
+    if (m[1] === ',') {
+      finishStep();
+      if (steps.length) groups.push(steps);
+      steps = [];
+      combinator = ' ';
+      continue;
+    }
+    if (m[1] === '>' || m[2]) {
+      if (step) {
+        finishStep();
+        combinator = ' ';
+      }
+      if (m[1] === '>') combinator = '>';
+      continue;
+    }
+
+    step ??= { combinator, tag: null, id: null, classes: [], attrs: [] };
+    if (m[3]) step.tag = m[3] === '*' ? null : m[3].toLowerCase();
+    else if (m[4]) step.id = m[4];
+    else if (m[5]) step.classes.push(m[5]);
+    else if (m[6]) step.attrs.push({ name: m[6].toLowerCase(), op: m[7] ?? null, value: m[8] ?? m[9] ?? m[10] ?? '' });
+  }
+  finishStep();
+  if (steps.length) groups.push(steps);
+  if (!groups.length) throw new Error(`Empty selector "${selector}"`);
+  return groups;
+}
+
+function matchesSteps(el, steps, index, scope) {
+  if (!matchesStep(el, steps[index])) return false;
+  if (index === 0) return true;
+
+  if (steps[index].combinator === '>') {
+    const parent = el.parent;
+    return parent && parent !== scope ? matchesSteps(parent, steps, index - 1, scope) : false;
+  }
+  for (let anc = el.parent; anc && anc !== scope; anc = anc.parent) {
+    if (matchesSteps(anc, steps, index - 1, scope)) return true;
+  }
+  return false;
+}
+
+function matchesStep(el, step) {
+  if (el.type !== 'element' || el.name === '#document') return false;
+  if (step.tag && el.name !== step.tag) return false;
+  if (step.id && el.attrs.id !== step.id) return false;
+  if (step.classes.length) {
+    const classes = (el.attrs.class ?? '').split(/\s+/);
+    if (!step.classes.every((c) => classes.includes(c))) return false;
+  }
+  for (const { name, op, value } of step.attrs) {
+    const actual = el.attrs[name];
+    if (actual === undefined) return false;
+    if (op === '=' && actual !== value) return false;
+    if (op === '~=' && !actual.split(/\s+/).includes(value)) return false;
+    if (op === '^=' && !actual.startsWith(value)) return false;
+    if (op === '$=' && !actual.endsWith(value)) return false;
+    if (op === '*=' && !actual.includes(value)) return false;
+  }
+  return true;
+}
+
+// --- text ---
+
+/**
+ * Visible text of `node`: block elements on lines of their own, inline
+ * elements run together, runs of spaces collapsed and lines trimmed.
+ * `skip(element)` returning true leaves that element's subtree out.
+ */
+export function innerText(node, { skip } = {}) {
+  const parts = [];
+  const visit = (n) => {
+    if (n.type === 'text') {
+      parts.push(n.text);
+      return;
+    }
+    if (skip && n.name !== '#document' && skip(n)) return;
+    const block = BLOCK_ELEMENTS.has(n.name);
+    if (block && parts.at(-1) !== '\n') parts.push('\n');
+    for (const child of n.children) visit(child);
+    if (block && parts.at(-1) !== '\n') parts.push('\n');
+  };
+  visit(node);
+
+  return parts
+    .join('')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\u00a0]+/g, ' ')
+    .replace(/ ?\n[\n ]*/g, '\n')
+    .trim();
+}
+
+// --- entities ---
+
+// HTML 4 named character references (and &apos;)
+const NAMED_ENTITIES = (() => {
+  const map = { quot: 34, amp: 38, apos: 39, lt: 60, gt: 62 };
+  // U+00A0 … U+00FF in order
+  const latin1 = 'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 ' +
+    'acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring ' +
+    'AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times ' +
+    'Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave ' +
+    'eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave ' +
+    'uacute ucirc uuml yacute thorn yuml';
+  latin1.split(' ').forEach((name, k) => (map[name] = 0xa0 + k));
+  // Greek: Α … Ω (no capital final sigma at U+03A2) and α … ω
+  const greek = 'Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho _ Sigma Tau ' +
+    'Upsilon Phi Chi Psi Omega';
+  greek.split(' ').forEach((name, k) => {
+    if (name === '_') return;
+    map[name] = 0x391 + k;
+    map[name.toLowerCase()] = 0x3b1 + k;
+  });
+  map.sigmaf = 0x3c2;
+  const others = 'OElig 338 oelig 339 Scaron 352 scaron 353 Yuml 376 fnof 402 circ 710 tilde 732 thetasym 977 ' +
+    'upsih 978 piv 982 ensp 8194 emsp 8195 thinsp 8201 zwnj 8204 zwj 8205 lrm 8206 rlm 8207 ndash 8211 ' +
+    'mdash 8212 lsquo 8216 rsquo 8217 sbquo 8218 ldquo 8220 rdquo 8221 bdquo 8222 dagger 8224 Dagger 8225 ' +
+    'bull 8226 hellip 8230 permil 8240 prime 8242 Prime 8243 lsaquo 8249 rsaquo 8250 oline 8254 frasl 8260 ' +
+    'euro 8364 image 8465 weierp 8472 real 8476 trade 8482 alefsym 8501 larr 8592 uarr 8593 rarr 8594 ' +
+    'darr 8595 harr 8596 crarr 8629 lArr 8656 uArr 8657 rArr 8658 dArr 8659 hArr 8660 forall 8704 part 8706 ' +
+    'exist 8707 empty 8709 nabla 8711 isin 8712 notin 8713 ni 8715 prod 8719 sum 8721 minus 8722 lowast 8727 ' +
+    'radic 8730 prop 8733 infin 8734 ang 8736 and 8743 or 8744 cap 8745 cup 8746 int 8747 there4 8756 ' +
+    'sim 8764 cong 8773 asymp 8776 ne 8800 equiv 8801 le 8804 ge 8805 sub 8834 sup 8835 nsub 8836 sube 8838 ' +
+    'supe 8839 oplus 8853 otimes 8855 perp 8869 sdot 8901 lceil 8968 rceil 8969 lfloor 8970 rfloor 8971 ' +
+    'lang 9001 rang 9002 loz 9674 spades 9824 clubs 9827 hearts 9829 diams 9830';
+  const pairs = others.split(' ');
+  for (let k = 0; k < pairs.length; k += 2) map[pairs[k]] = Number(pairs[k + 1]);
+  return map;
+})();
+
+// Named references browsers still accept without the ";"
+const LEGACY_UNTERMINATED = ['amp', 'lt', 'gt', 'quot', 'nbsp', 'copy', 'reg'];
+
+// &#128; … &#159; mean their windows-1252 characters, not C1 controls
+const WINDOWS_1252 = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021, 0x88: 0x2c6,
+  0x89: 0x2030, 0x8a: 0x160, 0x8b: 0x2039, 0x8c: 0x152, 0x8e: 0x17d, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c,
+  0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x2dc, 0x99: 0x2122, 0x9a: 0x161, 0x9b: 0x203a,
+  0x9c: 0x153, 0x9e: 0x17e, 0x9f: 0x178,
+};
+
+export function decodeEntities(str = '', { attribute = false } = {}) {
+  if (!str.includes('&')) return str;
+  return str.replace(/&(?:#(\d{1,8})|#[xX]([0-9a-fA-F]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}))(;?)/g, (whole, dec, hex, name, semi, offset) => {
+    if (name) {
+      if (semi && NAMED_ENTITIES[name] !== undefined) return String.fromCodePoint(NAMED_ENTITIES[name]);
+      // "&copy2024" is "©2024"; anything else without ";" stays as written
+      const legacy = LEGACY_UNTERMINATED.find((n) => name.startsWith(n));
+      if (!legacy) return whole;
+      // …except in attributes, where "&copy=1" is more likely a URL parameter
+      if (attribute && !semi && (name !== legacy || str[offset + whole.length] === '=')) return whole;
+      return String.fromCodePoint(NAMED_ENTITIES[legacy]) + name.slice(legacy.length) + semi;
+    }
+    let code = dec !== undefined ? parseInt(dec, 10) : parseInt(hex, 16);
+    code = WINDOWS_1252[code] ?? code;
+    if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '�';
+    return String.fromCodePoint(code);
+  });
+}
@@ -0,0 +1,71 @@
+/**
+ * Seller ID list helpers: compact formatting, --ids / --ids-file lists and
+ * --shard partitioning.
+ */
+
+/** Compact a list of IDs into "1-5, 9, 12-20" (sorted, deduplicated). */
+export function formatIdRanges(ids) {
+  const sorted = [...new Set(ids)].sort((a, b) => a - b);
+  const parts = [];
+
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (i + 1 < sorted.length && sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+  }
+
+  return parts.join(',');
+}
+
+// A typo like 1-35000000 shouldn't build a list that size
+const MAX_RANGE = 1_000_000;
+
+/**
+ * Parse an ID list: IDs and inclusive ranges ("1,5,9-20") separated by
+ * commas, whitespace or newlines. `#` starts a comment. Returns the IDs in
+ * the order given, without duplicates.
+ *
+ * With `skipHeader`, a first line holding no IDs (a spreadsheet column
+ * header like "sellerId") is ignored instead of rejected.
+ */
+export function parseIdList(text, { source = '--ids', skipHeader = false } = {}) {
+  const ids = new Set();
+  const lines = String(text).split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const tokens = line.replace(/#.*/, '').split(/[\s,;]+/).filter(Boolean);
+    if (skipHeader && index === 0 && tokens.length && tokens.every((t) => !/^\d/.test(t))) return;
+
+    for (const token of tokens) {
+      const m = token.match(/^(\d+)(?:-(\d+))?$/);
+      if (!m) throw new Error(`Invalid seller ID "${token}" in ${source}${lines.length > 1 ? ` (line ${index + 1})` : ''}`);
+      const from = Number(m[1]);
+      const to = m[2] != null ? Number(m[2]) : from;
+      if (to < from) throw new Error(`Invalid range "${token}" in ${source} (end before start)`);
+      if (to - from >= MAX_RANGE) throw new Error(`Range "${token}" in ${source} spans over ${MAX_RANGE} IDs`);
+      for (let id = from; id <= to; id++) ids.add(id);
+    }
+  });
+
+  return [...ids];
+}
+
+/** "2/4" → { index: 2, count: 4 } (1-based). */
+export function parseShard(spec) {
+  const m = String(spec).trim().match(/^(\d+)\/(\d+)$/);
+  const index = m ? Number(m[1]) : NaN;
+  const count = m ? Number(m[2]) : NaN;
+  if (!(count >= 1 && index >= 1 && index <= count)) {
+    throw new Error(`Invalid --shard "${spec}" (expected k/n with 1 ≤ k ≤ n, e.g. 2/4)`);
+  }
+  return { index, count };
+}
+
+/**
+ * The IDs belonging to shard k of n: those with id % n === k - 1. The split
+ * depends only on the ID, so every machine given the same list or range
+ * agrees on it, and consecutive IDs are spread evenly across shards.
+ */
+export function shardIds(ids, { index, count }) {
+  return ids.filter((id) => id % count === index - 1);
+}
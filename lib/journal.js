@@ -0,0 +1,94 @@
+/**
+ * Crash-safe file writes for the files store.
+ *
+ * - writeFileAtomic writes to <path>.tmp, fsyncs it and renames it over
+ *   <path>, so a reader (or the next run after a crash) sees either the old
+ *   file or the new one — never a truncated mix.
+ * - A journal is an append-only NDJSON file with one fsynced line per entry.
+ *   A crash can only tear the line being written; readJournal drops that
+ *   line and, with `repair`, truncates the file back to the last complete one.
+ */
+
+import {
+  closeSync,
+  existsSync,
+  fsyncSync,
+  ftruncateSync,
+  openSync,
+  readFileSync,
+  renameSync,
+  truncateSync,
+  writeSync,
+} from 'node:fs';
+import { dirname } from 'node:path';
+
+export function writeFileAtomic(path, data) {
+  const tmp = `${path}.tmp`;
+  const fd = openSync(tmp, 'w');
+  try {
+    writeSync(fd, data);
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+  renameSync(tmp, path);
+  syncDir(dirname(path));
+}
+
+/** Open `path` for appending: { append(entry), reset(), close() }. */
+export function openJournal(path) {
+  const fd = openSync(path, 'a');
+  return {
+    append(entry) {
+      writeSync(fd, JSON.stringify(entry) + '\n');
+      fsyncSync(fd);
+    },
+    /** Empty the journal once its entries are safely in a snapshot. */
+    reset() {
+      ftruncateSync(fd, 0);
+      fsyncSync(fd);
+    },
+    close() {
+      closeSync(fd);
+    },
+  };
+}
+
+/**
+ * Entries of a journal, oldest first. `torn` is set when the file ended in a
+ * partial line (dropped); `skipped` counts complete lines that weren't valid
+ * JSON (e.g. zero-filled blocks after a power cut).
+ */
+export function readJournal(path, { repair = false } = {}) {
+  if (!existsSync(path)) return { entries: [], torn: false, skipped: 0 };
+
+  const text = readFileSync(path, 'utf-8');
+  const end = text.lastIndexOf('\n') + 1;
+  const torn = end < text.length;
+  if (torn && repair) truncateSync(path, Buffer.byteLength(text.slice(0, end)));
+
+  const entries = [];
+  let skipped = 0;
+  for (const line of text.slice(0, end).split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+  return { entries, torn, skipped };
+}
+
+// Make the rename itself durable; not every platform can fsync a directory
+function syncDir(dir) {
+  let fd;
+  try {
+    fd = openSync(dir, 'r');
+    fsyncSync(fd);
+  } catch {
+    // best effort
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Registry of Kingfisher marketplace banners.
+ *
+ * Every banner runs its own tenant on the shared Kingfisher seller API
+ * (https://api.kingfisher.com/v1/sellers/{tenant}/{id}) and exposes the same
+ * seller on a public storefront page. A market entry holds:
+ * - tenant:       API tenant code used in the seller endpoint
+ * - sellerUrl:    storefront page template, `{id}` is replaced by the seller ID
+ * - apiKey:       seller API key (publicly embedded in the banner's pages)
+ * - defaultRange: seller ID range scanned when --from/--to are not given
+ *
+ * The API key can be overridden per tenant with KINGFISHER_API_KEY_<TENANT>
+ * (e.g. KINGFISHER_API_KEY_BQUK) when a banner rotates it.
+ *
+ * Only B&Q is built in. Other banners are added with a markets file
+ * (markets.json in the working directory, or --markets-file <path>): a JSON
+ * object of market entries keyed by their ID. For example (placeholder
+ * values — take the real ones from the banner's seller pages):
+ *
+ *   {
+ *     "cafr": {
+ *       "name": "Castorama France",
+ *       "tenant": "CAFR",
+ *       "sellerUrl": "https://www.castorama.fr/vendeurs-partenaires/vendeur/{id}",
+ *       "apiKey": "…",
+ *       "defaultRange": { "from": 1, "to": 20000 }
+ *     }
+ *   }
+ *
+ * `apiKey` may be left out when KINGFISHER_API_KEY_<TENANT> is set. An entry
+ * with a built-in ID replaces the built-in one. Each market gets its own
+ * results/<id>/ directory.
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync } from 'node:fs';
+
+export const MARKETS = {
+  bq: {
+    id: 'bq',
+    name: 'B&Q (diy.com)',
+    tenant: 'BQUK',
+    sellerUrl: 'https://www.diy.com/verified-sellers/seller/{id}',
+    apiKey: 'eyJvcmciOiI2MGFlMTA0ZGVjM2M1ZjAwMDFkMjYxYTkiLCJpZCI6IjE0NmFhMTQ5ZGIxYjQ4OGI4OWJlMTNkNTI0MmVhMmZmIiwiaCI6Im11cm11cjEyOCJ9',
+    defaultRange: { from: 1, to: 35000 },
+  },
+};
+
+export const DEFAULT_MARKET = 'bq';
+
+export const DEFAULT_MARKETS_FILE = 'markets.json';
+
+const API_BASE = 'https://api.kingfisher.com/v1/sellers';
+
+export function getMarket(id = DEFAULT_MARKET, markets = MARKETS) {
+  const market = markets[String(id).toLowerCase()];
+  if (!market) {
+    throw new Error(`Unknown market "${id}". Known markets: ${Object.keys(markets).join(', ')} (add others in ${DEFAULT_MARKETS_FILE}, see lib/markets.js)`);
+  }
+  return market;
+}
+
+/**
+ * The built-in markets plus those of a markets file. A missing file is fine
+ * unless it was asked for (`required`).
+ */
+export function loadMarkets(path = DEFAULT_MARKETS_FILE, { required = false } = {}) {
+  if (!existsSync(path)) {
+    if (required) throw new Error(`Markets file ${path} doesn't exist`);
+    return MARKETS;
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Invalid markets file ${path}: ${err.message}`);
+  }
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`Invalid markets file ${path}: expected an object of markets keyed by ID`);
+  }
+
+  const markets = { ...MARKETS };
+  for (const [key, entry] of Object.entries(entries)) {
+    const market = checkMarket(key.toLowerCase(), entry, path);
+    markets[market.id] = market;
+  }
+  return markets;
+}
+
+function checkMarket(id, entry, path) {
+  const fail = (problem) => {
+    throw new Error(`Market "${id}" in ${path}: ${problem}`);
+  };
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) fail('the ID must be lowercase letters, digits and "-" (it names the results directory)');
+  if (!entry || typeof entry !== 'object') fail('expected an object');
+
+  const { name = id, tenant, sellerUrl, apiKey = '', defaultRange } = entry;
+  if (typeof tenant !== 'string' || !/^[A-Z0-9]+$/.test(tenant)) fail('"tenant" must be the API tenant code, e.g. "BQUK"');
+  if (typeof sellerUrl !== 'string' || !/^https?:\/\//.test(sellerUrl) || !sellerUrl.includes('{id}')) {
+    fail('"sellerUrl" must be an http(s) URL with an {id} placeholder');
+  }
+  const { from, to } = defaultRange ?? {};
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from > to) {
+    fail('"defaultRange" must be { "from": <id>, "to": <id> } with 1 <= from <= to');
+  }
+  const market = { id, name: String(name), tenant, sellerUrl, apiKey: String(apiKey), defaultRange: { from, to } };
+  if (!resolveApiKey(market)) fail(`no "apiKey" and KINGFISHER_API_KEY_${tenant} isn't set`);
+  return market;
+}
+
+export function sellerApiUrl(market, sellerId) {
+  return `${API_BASE}/${market.tenant}/${sellerId}`;
+}
+
+export function sellerPageUrl(market, sellerId) {
+  return market.sellerUrl.replace('{id}', String(sellerId));
+}
+
+export function resolveApiKey(market) {
+  return process.env[`KINGFISHER_API_KEY_${market.tenant}`] || market.apiKey;
+}
+
+/**
+ * Output locations for a market: results/<market>/sellers.csv,
+ * progress.json (+ progress.journal), sellers.db and frontier.json, so runs for different
+ * banners never share files.
+ */
+export function marketPaths(market, resultsDir = 'results') {
+  return dirPaths(`${resultsDir}/${market.id}`);
+}
+
+/** The same file layout inside any directory (e.g. a shard's copied results for `merge`). */
+export function dirPaths(dir) {
+  return {
+    dir,
+    csv: `${dir}/sellers.csv`,
+    progress: `${dir}/progress.json`,
+    journal: `${dir}/progress.journal`,
+    db: `${dir}/sellers.db`,
+    frontier: `${dir}/frontier.json`,
+    archive: `${dir}/raw.ndjson`,
+  };
+}
+
+/**
+ * Before markets existed, B&Q results lived directly in results/.
+ * Move them into the default market's directory on first use.
+ */
+export function migrateLegacyResults(market, resultsDir = 'results') {
+  if (market.id !== DEFAULT_MARKET) return;
+
+  const paths = marketPaths(market, resultsDir);
+  const legacy = [
+    [`${resultsDir}/sellers.csv`, paths.csv],
+    [`${resultsDir}/progress.json`, paths.progress],
+  ];
+  if (legacy.some(([, to]) => existsSync(to))) return;
+
+  for (const [from, to] of legacy) {
+    if (!existsSync(from)) continue;
+    mkdirSync(paths.dir, { recursive: true });
+    renameSync(from, to);
+    console.log(`Moved ${from} -> ${to}`);
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Combine the results of several shard runs (`merge`).
+ *
+ * Each shard is read as { label, entries: Map<id, { status, error?, updatedAt? }>,
+ * records: Map<id, record> } and every seller ID ends up once in the result:
+ *
+ * - a successful observation (ok or empty) beats an error, whatever its age
+ * - among successful observations the most recent updatedAt wins (entries
+ *   without a timestamp count as oldest; ties go to the earlier shard)
+ * - an ID marked ok without a record row is left out, so the next scan
+ *   fetches it again
+ *
+ * IDs seen by more than one shard are overlaps. An overlap is a conflict when
+ * the successful observations disagree: ok in one shard and empty in another,
+ * or ok in both with different SNAPSHOT_FIELDS values.
+ */
+
+import { SNAPSHOT_FIELDS } from './snapshots.js';
+
+export function mergeShards(shards) {
+  const seen = new Map();
+  let missingRecords = 0;
+
+  for (const shard of shards) {
+    for (const [sellerId, entry] of shard.entries) {
+      const record = shard.records.get(sellerId) ?? null;
+      if (entry.status === 'ok' && !record) {
+        missingRecords++;
+        continue;
+      }
+      const observation = { ...entry, sellerId, record, from: shard.label };
+      if (!seen.has(sellerId)) seen.set(sellerId, []);
+      seen.get(sellerId).push(observation);
+    }
+  }
+
+  const merged = [];
+  const conflicts = [];
+  let overlaps = 0;
+  for (const [sellerId, observations] of [...seen].sort(([a], [b]) => a - b)) {
+    const kept = observations.reduce((best, o) => (isBetter(o, best) ? o : best));
+    merged.push(kept);
+    if (observations.length < 2) continue;
+
+    overlaps++;
+    const differences = observationDifferences(observations.filter((o) => o.status !== 'error'));
+    if (differences) {
+      conflicts.push({
+        sellerId,
+        kept: kept.from,
+        differences,
+        observations: observations.map(({ from, status, error, updatedAt, record }) => ({
+          from,
+          status,
+          ...(error ? { error } : {}),
+          updatedAt: updatedAt ?? null,
+          ...(record ? { record: Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, record[f] ?? ''])) } : {}),
+        })),
+      });
+    }
+  }
+
+  const count = (status) => merged.filter((o) => o.status === status).length;
+  return {
+    merged,
+    conflicts,
+    summary: {
+      shards: shards.map((s) => ({ label: s.label, ids: s.entries.size, sellers: s.records.size })),
+      ids: merged.length,
+      ok: count('ok'),
+      empty: count('empty'),
+      error: count('error'),
+      overlaps,
+      conflicts: conflicts.length,
+      missingRecords,
+    },
+  };
+}
+
+function isBetter(candidate, current) {
+  const failed = (o) => o.status === 'error';
+  if (failed(candidate) !== failed(current)) return failed(current);
+  return timestamp(candidate) > timestamp(current);
+}
+
+function timestamp(observation) {
+  const t = Date.parse(observation.updatedAt ?? '');
+  return Number.isNaN(t) ? -Infinity : t;
+}
+
+/** 'status' when ok and empty disagree, else the differing fields, else null. */
+function observationDifferences(observations) {
+  if (observations.length < 2) return null;
+  if (new Set(observations.map((o) => o.status)).size > 1) return ['status'];
+  if (observations[0].status !== 'ok') return null;
+
+  const norm = (v) => String(v ?? '').trim();
+  const fields = SNAPSHOT_FIELDS.filter((f) => new Set(observations.map((o) => norm(o.record[f]))).size > 1);
+  return fields.length ? fields : null;
+}
+
+/** Human-readable merge report. */
+export function formatMergeReport({ summary, conflicts }, { output }) {
+  const out = [];
+  out.push(`Merged ${summary.shards.length} shard(s) into ${output}`);
+  for (const s of summary.shards) out.push(`  ${s.label}: ${s.ids} IDs, ${s.sellers} sellers`);
+  out.push('');
+  out.push(`  IDs:                 ${summary.ids}`);
+  out.push(`  Sellers found:       ${summary.ok}`);
+  out.push(`  No seller:           ${summary.empty}`);
+  out.push(`  Errors:              ${summary.error}`);
+  out.push(`  Seen by 2+ shards:   ${summary.overlaps}`);
+  out.push(`  Conflicts:           ${summary.conflicts}`);
+  if (summary.missingRecords > 0) {
+    out.push(`  Ok without a CSV row (left out, will be re-fetched): ${summary.missingRecords}`);
+  }
+
+  if (conflicts.length) {
+    out.push('', 'Conflicts (kept value marked *):');
+    for (const c of conflicts) {
+      out.push(`  ! ID ${c.sellerId}: ${c.differences.join(', ')}`);
+      for (const o of c.observations) {
+        const mark = o.from === c.kept ? '*' : ' ';
+        const detail = o.status === 'ok'
+          ? c.differences.filter((f) => f !== 'status').map((f) => `${f}=${o.record[f] || '(empty)'}`).join(' | ') || o.record.businessName
+          : o.error ?? '';
+        out.push(`    ${mark} ${o.from} [${o.status}${o.updatedAt ? ` ${o.updatedAt}` : ''}] ${detail}`.trimEnd());
+      }
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
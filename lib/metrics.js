@@ -0,0 +1,191 @@
+/**
+ * Prometheus metrics for a running scrape (--metrics-port).
+ *
+ * createScrapeMetrics() follows the same per-ID lifecycle as lib/reporter.js
+ * (started, attempt, result, cancelled) and keeps:
+ *
+ *   bq_scraper_results_total{status}                  ok / empty / error results
+ *   bq_scraper_errors_total{reason}                   error results by the cause of their last attempt
+ *   bq_scraper_retries_total{reason}                  failed attempts that were retried
+ *   bq_scraper_rate_limited_total                     HTTP 429 responses
+ *   bq_scraper_requests_total{request}                request attempts (api, page)
+ *   bq_scraper_request_duration_seconds{request}      histogram of attempt latency
+ *   bq_scraper_in_flight_ids                          IDs being fetched right now
+ *   bq_scraper_pending_ids                            IDs of the run not finished yet
+ *   bq_scraper_rate_limit_requests_per_second         current limiter rate
+ *
+ * serveMetrics() answers GET /metrics in the Prometheus text format and
+ * GET /healthz with a small JSON status. No client library is needed for
+ * counters this simple.
+ */
+
+import { createServer } from 'node:http';
+
+const PREFIX = 'bq_scraper';
+
+// Seconds; the API usually answers well under a second, timeouts sit at the top
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/** `limiter` is the shared rate limiter (for its current rate); `labels` go on every sample. */
+export function createScrapeMetrics({ limiter, labels = {} } = {}) {
+  const startedAt = Date.now();
+  const results = counter();
+  const errors = counter();
+  const retries = counter();
+  const requests = counter();
+  let rateLimited = 0;
+  const latency = new Map();
+  const inFlight = new Map();
+  let pending = 0;
+  let lastResultAt = null;
+
+  return {
+    /** A run is about to work through `count` IDs. */
+    setPending(count) {
+      pending = count;
+    },
+
+    started(sellerId) {
+      inFlight.set(sellerId, null);
+    },
+
+    /** One request attempt, as reported by lib/sources.js onAttempt. */
+    attempt(info) {
+      const request = info.request === 'Page' ? 'page' : 'api';
+      requests.inc({ request });
+      if (info.httpStatus === 429) rateLimited++;
+      if (info.retrying) retries.inc({ reason: failureReason(info) });
+      observe(latency, request, info.latencyMs / 1000);
+      if (inFlight.has(info.sellerId)) inFlight.set(info.sellerId, info);
+    },
+
+    /** A finished ID: `status` is ok, empty or error. */
+    result(sellerId, status) {
+      const last = inFlight.get(sellerId);
+      inFlight.delete(sellerId);
+      pending = Math.max(0, pending - 1);
+      lastResultAt = Date.now();
+      results.inc({ status });
+      if (status === 'error') errors.inc({ reason: last ? failureReason(last) : 'other' });
+    },
+
+    cancelled(sellerId) {
+      inFlight.delete(sellerId);
+    },
+
+    health() {
+      return {
+        status: 'ok',
+        uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+        inFlight: inFlight.size,
+        pending,
+        lastResultSecondsAgo: lastResultAt != null ? Math.round((Date.now() - lastResultAt) / 1000) : null,
+      };
+    },
+
+    /** Everything in the Prometheus text exposition format. */
+    render() {
+      const out = [];
+      family(out, 'results_total', 'counter', 'Finished seller IDs by result.', results.samples(), labels);
+      family(out, 'errors_total', 'counter', 'Error results by the cause of their last attempt.', errors.samples(), labels);
+      family(out, 'retries_total', 'counter', 'Failed request attempts that were retried.', retries.samples(), labels);
+      family(out, 'rate_limited_total', 'counter', 'HTTP 429 responses.', [[{}, rateLimited]], labels);
+      family(out, 'requests_total', 'counter', 'Request attempts.', requests.samples(), labels);
+      histogram(out, 'request_duration_seconds', 'Latency of request attempts.', latency, labels);
+      family(out, 'in_flight_ids', 'gauge', 'Seller IDs being fetched.', [[{}, inFlight.size]], labels);
+      family(out, 'pending_ids', 'gauge', 'Seller IDs of the run not finished yet.', [[{}, pending]], labels);
+      if (limiter) {
+        family(out, 'rate_limit_requests_per_second', 'gauge', 'Current rate of the shared limiter.', [[{}, limiter.rate]], labels);
+      }
+      return out.join('\n') + '\n';
+    },
+  };
+}
+
+/**
+ * Serve `metrics` on `host`:`port`. Only this machine can reach it unless
+ * `host` says otherwise (e.g. 0.0.0.0 for a scraper in a container). The
+ * server doesn't keep the process alive; resolves to it once it listens.
+ */
+export function serveMetrics(metrics, { port, host = '127.0.0.1' }) {
+  const server = createServer((req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { allow: 'GET, HEAD' }).end();
+    } else if (path === '/metrics') {
+      res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' }).end(metrics.render());
+    } else if (path === '/healthz') {
+      res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(metrics.health()) + '\n');
+    } else {
+      res.writeHead(404, { 'content-type': 'text/plain' }).end('Not found — try /metrics or /healthz\n');
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      server.unref();
+      resolve(server);
+    });
+  });
+}
+
+/** Label value for a failed attempt: timeout, rate_limited, http_503, request_failed … */
+function failureReason({ outcome, httpStatus }) {
+  if (outcome === 'timeout') return 'timeout';
+  if (outcome === 'rate-limited') return 'rate_limited';
+  if (outcome === 'http-error') return `http_${httpStatus}`;
+  if (outcome === 'error') return 'request_failed';
+  // The request itself went through; the record couldn't be built from it
+  return 'other';
+}
+
+/** A labelled counter: inc({ status: 'ok' }), samples() → [[labels, value]]. */
+function counter() {
+  const values = new Map();
+  return {
+    inc(labels) {
+      const key = JSON.stringify(labels);
+      values.set(key, (values.get(key) ?? 0) + 1);
+    },
+    samples() {
+      return [...values].map(([key, value]) => [JSON.parse(key), value]);
+    },
+  };
+}
+
+function observe(histograms, request, seconds) {
+  if (!histograms.has(request)) {
+    histograms.set(request, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+  }
+  const h = histograms.get(request);
+  LATENCY_BUCKETS.forEach((le, i) => {
+    if (seconds <= le) h.buckets[i]++;
+  });
+  h.sum += seconds;
+  h.count++;
+}
+
+function family(out, name, type, help, samples, common) {
+  out.push(`# HELP ${PREFIX}_${name} ${help}`);
+  out.push(`# TYPE ${PREFIX}_${name} ${type}`);
+  for (const [labels, value] of samples) out.push(sample(name, { ...common, ...labels }, value));
+}
+
+function histogram(out, name, help, histograms, common) {
+  out.push(`# HELP ${PREFIX}_${name} ${help}`);
+  out.push(`# TYPE ${PREFIX}_${name} histogram`);
+  for (const [request, h] of histograms) {
+    const labels = { ...common, request };
+    LATENCY_BUCKETS.forEach((le, i) => out.push(sample(`${name}_bucket`, { ...labels, le: String(le) }, h.buckets[i])));
+    out.push(sample(`${name}_bucket`, { ...labels, le: '+Inf' }, h.count));
+    out.push(sample(`${name}_sum`, labels, h.sum));
+    out.push(sample(`${name}_count`, labels, h.count));
+  }
+}
+
+function sample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/[\\"\n]/g, (c) => (c === '\n' ? '\\n' : `\\${c}`))}"`);
+  return `${PREFIX}_${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`;
+}
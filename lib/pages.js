@@ -0,0 +1,128 @@
+/**
+ * Saved seller pages: offline parsing (`parse`) and the golden-file
+ * regression suite (`check-parse`).
+ *
+ * Fixtures live in fixtures/pages/ as pairs:
+ *   <name>.html            a saved storefront page (or a trimmed-down one)
+ *   <name>.expected.json   the detailed record (with provenance) parseSellerPage
+ *                          must produce for it
+ * The seller ID comes from the last number in the file name, or failing
+ * that from the page's own seller link.
+ */
+
+import { existsSync, readFileSync, readdirSync, statSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { parseSellerPage } from './parse.js';
+
+export const FIXTURES_DIR = 'fixtures/pages';
+
+/**
+ * Page files for a file, a directory (its *.html / *.htm files) or a glob
+ * (`*`, `?` within a path segment, `**` across directories).
+ */
+export function listPageFiles(target) {
+  if (existsSync(target)) {
+    if (!statSync(target).isDirectory()) return [target];
+    return readdirSync(target)
+      .filter((f) => /\.html?$/i.test(f))
+      .sort()
+      .map((f) => join(target, f));
+  }
+
+  if (!/[*?]/.test(target)) throw new Error(`No such file or directory: ${target}`);
+
+  // Walk from the longest directory prefix without wildcards
+  const segments = target.split('/');
+  const firstWild = segments.findIndex((s) => /[*?]/.test(s));
+  const base = segments.slice(0, firstWild).join('/') || '.';
+  const pattern = globRegex(segments.slice(firstWild).join('/'));
+  if (!existsSync(base)) return [];
+
+  return readdirSync(base, { recursive: true })
+    .map(String)
+    .filter((rel) => pattern.test(rel))
+    .sort()
+    .map((rel) => join(base, rel))
+    .filter((path) => statSync(path).isFile());
+}
+
+function globRegex(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of directories, including none
+      re += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/** Seller ID from the file name ("seller-3958.html"), else from the page's seller link, else null. */
+export function sellerIdFromPage(path, html) {
+  const fromName = basename(path).match(/(\d+)(?!.*\d)/);
+  if (fromName) return Number(fromName[1]);
+  const fromLink = html.match(/verified-sellers\/seller\/(\d+)/);
+  return fromLink ? Number(fromLink[1]) : null;
+}
+
+/** Parse one saved page. `pageUrl(id)` builds the record's sourceUrl; `options` go to parseSellerPage. */
+export function parsePageFile(path, pageUrl, options = {}) {
+  const html = readFileSync(path, 'utf-8');
+  const sellerId = sellerIdFromPage(path, html);
+  return parseSellerPage(html, sellerId, sellerId != null ? pageUrl(sellerId) : '', options);
+}
+
+export function expectedPath(pagePath) {
+  return join(dirname(pagePath), `${basename(pagePath).replace(/\.html?$/i, '')}.expected.json`);
+}
+
+/**
+ * Run every fixture page in `dir` through the parser and compare it with its
+ * expected file. With `update`, (re)write the expected files instead.
+ * Resolves to [{ page, status: 'pass'|'fail'|'missing'|'updated', diffs }].
+ */
+export function checkFixtures(dir, { pageUrl, update = false }) {
+  return listPageFiles(dir).map((page) => {
+    const actual = parsePageFile(page, pageUrl, { detailed: true });
+    const expectedFile = expectedPath(page);
+
+    if (update) {
+      writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n', 'utf-8');
+      return { page, status: 'updated', diffs: [] };
+    }
+    if (!existsSync(expectedFile)) return { page, status: 'missing', diffs: [] };
+
+    const expected = JSON.parse(readFileSync(expectedFile, 'utf-8'));
+    const diffs = [];
+    for (const field of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+      if (JSON.stringify(expected[field]) !== JSON.stringify(actual[field])) {
+        diffs.push({ field, expected: expected[field], actual: actual[field] });
+      }
+    }
+    return { page, status: diffs.length ? 'fail' : 'pass', diffs };
+  });
+}
+
+export function formatCheckReport(results) {
+  const lines = [];
+  for (const r of results) {
+    lines.push(`${r.status.toUpperCase().padEnd(7)} ${r.page}`);
+    for (const d of r.diffs) {
+      lines.push(`          ${d.field}`);
+      lines.push(`            expected: ${JSON.stringify(d.expected)}`);
+      lines.push(`            actual:   ${JSON.stringify(d.actual)}`);
+    }
+  }
+  const count = (status) => results.filter((r) => r.status === status).length;
+  lines.push('');
+  lines.push(`${results.length} page(s): ${count('pass')} passed, ${count('fail')} failed, ${count('missing')} without an expected file${count('updated') ? `, ${count('updated')} updated` : ''}`);
+  return lines.join('\n') + '\n';
+}
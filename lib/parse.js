@@ -5,41 +5,40 @@
  * - VAT number
  * - Registered address
  * - Shipped from
+ * - Optional sections: trading name (when it differs from the corporate
+ *   name), returns policy, contact guidance and contact details/links,
+ *   and any other text in the seller summary block
  *
  * Robust against:
  * - label/value blocks without colons (common on modern UI pages)
  * - dt/dd or table markup (fallback)
  * - generic text noise (footer/contact forms)
+ *
+ * The page is parsed once into a DOM (lib/html.js); every strategy reads that
+ * tree or its rendered text, so values with nested markup or entities come
+ * out whole.
  */
 
-function decodeEntities(str = '') {
-  return str
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/\u00a0/g, ' ');
-}
+import { looksLikeTaxId, taxIdColumns } from './taxid.js';
+import { addressColumns } from './address.js';
+import { elementChildren, innerText, nextElementSibling, parseHtml, querySelectorAll } from './html.js';
 
 function cleanText(str = '') {
-  return decodeEntities(str)
+  return str
+    .replace(/\u00a0/g, ' ')
     .replace(/\r/g, '\n')
     .replace(/[ \t]+/g, ' ')
     .replace(/\n{3,}/g, '\n\n')
     .trim();
 }
 
-function stripTagsKeepLines(html = '') {
-  return html
-    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '\n')
-    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/gi, '\n')
-    .replace(/<br\s*\/?>/gi, '\n')
-    .replace(/<\/(p|div|li|tr|td|th|section|article|h\d|dd|dt)>/gi, '\n')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\n[ \t]+/g, '\n')
-    .replace(/[ \t]+\n/g, '\n');
+/** Rendered text of an element on one line. */
+function lineText(el) {
+  return el ? innerText(el).replace(/\n+/g, ' ') : '';
+}
+
+function byTestId(root, testId) {
+  return querySelectorAll(root, `[data-test-id="${testId}"]`);
 }
 
 function normalizeLabel(s = '') {
@@ -51,9 +50,7 @@ function normalizeLabel(s = '') {
 }
 
 function looksLikeVat(value = '') {
-  const v = cleanText(value);
-  // Supports common UK/EU VAT styles
-  return /^(?:[A-Z]{2}\s*)?[A-Z0-9 -]{8,20}$/i.test(v) && /\d{8,}/.test(v);
+  return looksLikeTaxId(cleanText(value));
 }
 
 function isBadBusinessName(value = '') {
@@ -115,25 +112,26 @@ function looksLikeBusinessNameCandidate(value = '') {
   return true;
 }
 
-function extractDtDdPairs(html) {
+function extractDtDdPairs(doc) {
   const result = {};
-  const re = /<dt[^>]*>([\s\S]*?)<\/dt>\s*<dd[^>]*>([\s\S]*?)<\/dd>/gi;
-  let m;
-  while ((m = re.exec(html)) !== null) {
-    const k = cleanText(stripTagsKeepLines(m[1])).replace(/\n+/g, ' ');
-    const v = cleanText(stripTagsKeepLines(m[2])).replace(/\n+/g, ' ');
+  for (const dt of querySelectorAll(doc, 'dt')) {
+    const dd = nextElementSibling(dt);
+    if (dd?.name !== 'dd') continue;
+    const k = cleanText(lineText(dt));
+    const v = cleanText(lineText(dd));
     if (k && v) result[k] = v;
   }
   return result;
 }
 
-function extractTablePairs(html) {
+/** Two-cell rows: <tr><th>Label</th><td>Value</td></tr> */
+function extractTablePairs(doc) {
   const result = {};
-  const re = /<tr[^>]*>\s*<t[hd][^>]*>([\s\S]*?)<\/t[hd]>\s*<t[hd][^>]*>([\s\S]*?)<\/t[hd]>\s*<\/tr>/gi;
-  let m;
-  while ((m = re.exec(html)) !== null) {
-    const k = cleanText(stripTagsKeepLines(m[1])).replace(/\n+/g, ' ');
-    const v = cleanText(stripTagsKeepLines(m[2])).replace(/\n+/g, ' ');
+  for (const tr of querySelectorAll(doc, 'tr')) {
+    const cells = elementChildren(tr);
+    if (cells.length !== 2 || !cells.every((c) => c.name === 'th' || c.name === 'td')) continue;
+    const k = cleanText(lineText(cells[0]));
+    const v = cleanText(lineText(cells[1]));
     if (k && v) result[k] = v;
   }
   return result;
@@ -168,6 +166,8 @@ function extractLabelValueBlocks(text) {
     .split('\n')
     .map((x) => cleanText(x))
     .filter(Boolean);
+  // Normalised once: the label checks below run for every line
+  const norms = lines.map((line) => normalizeLabel(line));
 
   // Section boundaries / headings that should stop multi-line capture
   const stopHeadings = [
@@ -195,19 +195,11 @@ function extractLabelValueBlocks(text) {
     'contact seller',
   ];
 
-  const isKnownLabel = (line) => {
-    const n = normalizeLabel(line);
-    return allLabels.some((l) => n === l || n.startsWith(l));
-  };
-
-  const isStopHeading = (line) => {
-    const n = normalizeLabel(line);
-    return stopHeadings.some((h) => n === h || n.startsWith(h));
-  };
+  const isKnownLabel = (n) => allLabels.some((l) => n === l || n.startsWith(l));
+  const isStopHeading = (n) => stopHeadings.some((h) => n === h || n.startsWith(h));
 
   // Supports "Label VALUE" on the same line
-  function extractSameLineValue(line, label) {
-    const nLine = normalizeLabel(line);
+  function extractSameLineValue(line, nLine, label) {
     const nLabel = normalizeLabel(label);
 
     if (nLine === nLabel) return '';
@@ -226,22 +218,20 @@ function extractLabelValueBlocks(text) {
 
   function collectAfterLabel(targetLabels, { maxLines = 6, keepMultiline = false } = {}) {
     const candidates = [];
+    const targetNorms = targetLabels.map((l) => normalizeLabel(l));
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
-      const lineNorm = normalizeLabel(line);
+      const lineNorm = norms[i];
 
-      const isTarget = targetLabels.some((l) => {
-        const nl = normalizeLabel(l);
-        return lineNorm === nl || lineNorm.startsWith(nl);
-      });
+      const isTarget = targetNorms.some((nl) => lineNorm === nl || lineNorm.startsWith(nl));
 
       if (!isTarget) continue;
 
       // 1) Try same-line value first
       let pushedSameLine = false;
       for (const l of targetLabels) {
-        const same = extractSameLineValue(line, l);
+        const same = extractSameLineValue(line, lineNorm, l);
         if (same) {
           candidates.push(same);
           pushedSameLine = true;
@@ -254,10 +244,10 @@ function extractLabelValueBlocks(text) {
       const collected = [];
       for (let j = i + 1; j < lines.length && collected.length < maxLines; j++) {
         const next = lines[j];
-        const nextNorm = normalizeLabel(next);
+        const nextNorm = norms[j];
 
-        if (isStopHeading(next)) break; // hard stop on known section headings
-        if (isKnownLabel(next)) break;  // stop on next field label
+        if (isStopHeading(nextNorm)) break; // hard stop on known section headings
+        if (isKnownLabel(nextNorm)) break;  // stop on next field label
 
         // skip tiny UI noise
         if (!nextNorm || ['copy', 'open', 'close', 'down chevron'].includes(nextNorm)) continue;
@@ -322,6 +312,7 @@ function extractRegexFallback(text) {
   // 1) Standard newline layout
   let businessName =
     (t.match(/Business\s+name\s*\n+([^\n]+)/i)?.[1] || '').trim();
+  let businessNameVia = 'regex';
 
   let vatNumber =
     (t.match(/VAT\s+(?:number|no\.?)\s*\n+([A-Z0-9 -]{8,25})/i)?.[1] || '').trim();
@@ -347,6 +338,7 @@ function extractRegexFallback(text) {
           const candidate = lines[k];
           if (looksLikeBusinessNameCandidate(candidate)) {
             businessName = candidate;
+            businessNameVia = 'regex:line-before-vat';
             break;
           }
         }
@@ -364,6 +356,7 @@ function extractRegexFallback(text) {
           const candidate = lines[k];
           if (looksLikeBusinessNameCandidate(candidate)) {
             businessName = candidate;
+            businessNameVia = 'regex:line-before-address';
             break;
           }
         }
@@ -377,84 +370,190 @@ function extractRegexFallback(text) {
     const m = t.match(/([A-Z][A-Z0-9&'().,\- ]{3,})\s*\n+\s*VAT\s+(?:number|no\.?)/);
     if (m?.[1] && looksLikeBusinessNameCandidate(m[1])) {
       businessName = cleanText(m[1]);
+      businessNameVia = 'regex:uppercase-before-vat';
     }
   }
 
   if (isBadBusinessName(businessName)) businessName = '';
   if (vatNumber && !looksLikeVat(vatNumber)) vatNumber = '';
 
-  return { businessName, vatNumber, registeredAddress, shippedFrom };
+  return { businessName, vatNumber, registeredAddress, shippedFrom, businessNameVia };
 }
 
 /**
  * Extract seller data using B&Q's data-test-id attributes.
  * These are the most reliable selectors since they're part of the React component structure.
  */
-function extractByTestId(html) {
-  let businessName = '';
-  let vatNumber = '';
-  let registeredAddress = '';
-  let shippedFrom = '';
-
+function extractByTestId(doc) {
   // Business name: data-test-id="seller-corporate-name" or "seller-name-title"
-  const nameMatch = html.match(/data-test-id="seller-corporate-name"[^>]*>([^<]+)/i)
-    || html.match(/data-test-id="seller-name-title"[^>]*>([^<]+)/i);
-  if (nameMatch?.[1]) businessName = cleanText(nameMatch[1]);
+  const businessName = cleanText(lineText(byTestId(doc, 'seller-corporate-name')[0] ?? byTestId(doc, 'seller-name-title')[0]));
 
   // VAT number: data-test-id="seller-vat-number"
-  const vatMatch = html.match(/data-test-id="seller-vat-number"[^>]*>([^<]+)/i);
-  if (vatMatch?.[1]) {
-    vatNumber = cleanText(vatMatch[1]).replace(/^vat\s+number\s*:\s*/i, '');
-  }
+  const vatNumber = cleanText(lineText(byTestId(doc, 'seller-vat-number')[0])).replace(/^vat\s+number\s*:\s*/i, '');
 
   // Registered address: all data-test-id="seller-contact-information" elements
-  const addrParts = [];
-  const addrRe = /data-test-id="seller-contact-information"[^>]*>([^<]+)/gi;
-  let m;
-  while ((m = addrRe.exec(html)) !== null) {
-    const part = cleanText(m[1]);
-    if (part) addrParts.push(part);
-  }
-  if (addrParts.length > 0) registeredAddress = addrParts.join(', ');
+  const registeredAddress = byTestId(doc, 'seller-contact-information')
+    .map((el) => cleanText(lineText(el)))
+    .filter(Boolean)
+    .join(', ');
 
   // Shipped from: data-test-id="seller-shipping-country"
-  const shipMatch = html.match(/data-test-id="seller-shipping-country"[^>]*>([^<]+)/i);
-  if (shipMatch?.[1]) {
-    shippedFrom = cleanText(shipMatch[1]).replace(/^this seller ships from\s*/i, '');
-  }
+  const shippedFrom = cleanText(lineText(byTestId(doc, 'seller-shipping-country')[0])).replace(/^this seller ships from\s*/i, '');
 
   return { businessName, vatNumber, registeredAddress, shippedFrom };
 }
 
-export function parseSellerPage(html, sellerId, sourceUrl = '') {
-  const visibleText = cleanText(stripTagsKeepLines(html));
+// data-test-id elements whose text is already a field of its own
+const SUMMARY_FIELD_IDS = [
+  'seller-name-title',
+  'seller-corporate-name',
+  'seller-vat-number',
+  'seller-registered-address-title',
+  'seller-contact-information',
+  'seller-shipping-country',
+  'accordion-item-button',
+  'accordion-item-content',
+];
+
+/**
+ * The optional sections: trading name, returns policy, contact guidance,
+ * contact details (emails, phone numbers, links) and leftover summary text.
+ * Uses the data-test-id blocks, falling back to the text under the
+ * "Returns policy" / "How to contact" headings.
+ */
+function extractSections(doc, visibleText, { businessName, sourceUrl }) {
+  const titleText = cleanText(lineText(byTestId(doc, 'seller-name-title')[0]));
+  const tradingName = titleText && normalizeLabel(titleText) !== normalizeLabel(businessName) ? titleText : '';
+
+  const returnsBlock = byTestId(doc, 'seller-return-policy-generic')[0];
+  const contactBlock = byTestId(doc, 'seller-how-to-contact-seller')[0];
+  const returnsPolicy = returnsBlock ? innerText(returnsBlock) : textUnderHeading(visibleText, 'returns policy');
+  const contactGuidance = contactBlock ? innerText(contactBlock) : textUnderHeading(visibleText, 'how to contact a b&q verified seller');
+
+  const details = new Set();
+  for (const text of [contactGuidance, returnsPolicy]) {
+    for (const m of text.matchAll(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g)) details.add(m[0]);
+    for (const m of text.matchAll(/(?:\+44\s?|\b0)\d{2,4}[\s-]?\d{3,4}[\s-]?\d{3,4}\b/g)) details.add(m[0].trim());
+  }
+  for (const block of [contactBlock, returnsBlock]) {
+    if (!block) continue;
+    for (const link of querySelectorAll(block, 'a[href]')) {
+      const href = link.attrs.href.trim();
+      // mailto:/tel: links repeat an address or number already taken from the text
+      const contact = href.match(/^(?:mailto|tel):([^?]+)/i);
+      details.add(contact ? decodeURIComponent(contact[1]) : absoluteUrl(href, sourceUrl));
+    }
+  }
+
+  // Whatever the summary block says besides the fields above (seller descriptions, notices)
+  const summary = byTestId(doc, 'seller-summary')[0];
+  const sellerSummary = summary ? innerText(summary, { skip: (el) => SUMMARY_FIELD_IDS.includes(el.attrs['data-test-id']) }) : '';
+
+  return { tradingName, returnsPolicy, contactGuidance, contactDetails: [...details].join('; '), sellerSummary };
+}
+
+/** Lines under a section heading, up to the next section heading. */
+function textUnderHeading(text, heading) {
+  const sectionHeadings = [
+    'returns policy',
+    'how to contact a b&q verified seller',
+    'this seller ships from',
+    'business name',
+    'vat number',
+    'registered address',
+    // page furniture after the last section
+    'email',
+    'phone',
+    'telephone',
+    'contact seller',
+  ];
+  const lines = text.split('\n').map((x) => cleanText(x)).filter(Boolean);
+  const start = lines.findIndex((line) => normalizeLabel(line) === heading);
+  if (start < 0) return '';
+
+  const collected = [];
+  for (let i = start + 1; i < lines.length && collected.length < 20; i++) {
+    const n = normalizeLabel(lines[i]);
+    if (sectionHeadings.some((h) => n === h || n.startsWith(h))) break;
+    collected.push(lines[i]);
+  }
+  return collected.join('\n');
+}
+
+function absoluteUrl(href, base) {
+  try {
+    return base ? new URL(href, base).href : href;
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Parse a seller page into the flat record.
+ *
+ * Each field is taken from the first strategy that produced it (data-test-id,
+ * label blocks, dt/dd / table / colon pairs, regex fallback). The record also
+ * carries `parseConfidence` (0–1, the weakest field's score; '' when nothing
+ * was found) and `needsReview` (confidence below REVIEW_THRESHOLD).
+ *
+ * With `{ detailed: true }` it adds `provenance`: for every field the chosen
+ * strategy, the confidence and every strategy's candidate value.
+ */
+export function parseSellerPage(html, sellerId, sourceUrl = '', { detailed = false } = {}) {
+  const doc = parseHtml(html);
+  const visibleText = cleanText(innerText(doc));
 
   // 0) Best strategy: use B&Q's data-test-id attributes (most reliable)
-  const testIdVals = extractByTestId(html);
+  const testIdVals = extractByTestId(doc);
 
   // 1) Visible-text label blocks
   const blockVals = extractLabelValueBlocks(visibleText);
 
   // 2) Structured fallback (dt/dd, table, colon)
-  const dtdd = extractDtDdPairs(html);
-  const table = extractTablePairs(html);
+  const dtdd = extractDtDdPairs(doc);
+  const table = extractTablePairs(doc);
   const colon = extractColonPairsFromText(visibleText);
   const merged = { ...colon, ...table, ...dtdd };
 
-  const labelVals = {
-    businessName: findValueByLabels(merged, ['Business name', 'Seller name', 'Company name']),
-    vatNumber: findValueByLabels(merged, ['VAT number', 'VAT No', 'VAT no.']),
-    registeredAddress: findValueByLabels(merged, ['Registered address', 'Business address', 'Company address']),
-    shippedFrom: findValueByLabels(merged, ['Shipped from', 'Ships from', 'This seller ships from']),
-  };
+  const labelVals = {};
+  const pairVals = { dtdd: {}, table: {}, colon: {} };
+  for (const [field, labels] of Object.entries(FIELD_LABELS)) {
+    labelVals[field] = findValueByLabels(merged, labels);
+    pairVals.dtdd[field] = findValueByLabels(dtdd, labels);
+    pairVals.table[field] = findValueByLabels(table, labels);
+    pairVals.colon[field] = findValueByLabels(colon, labels);
+  }
 
   // 3) Regex fallback (includes "line before VAT number" heuristic)
   const rxVals = extractRegexFallback(visibleText);
 
-  let businessName = testIdVals.businessName || blockVals.businessName || labelVals.businessName || rxVals.businessName;
-  let vatNumber = testIdVals.vatNumber || blockVals.vatNumber || labelVals.vatNumber || rxVals.vatNumber;
-  let registeredAddress = testIdVals.registeredAddress || blockVals.registeredAddress || labelVals.registeredAddress || rxVals.registeredAddress;
-  let shippedFrom = testIdVals.shippedFrom || blockVals.shippedFrom || labelVals.shippedFrom || rxVals.shippedFrom;
+  // Candidates per field, in priority order; the label pairs are attributed
+  // to whichever of dt/dd, table or colon yielded the merged value
+  const candidates = {};
+  for (const field of Object.keys(FIELD_LABELS)) {
+    const pairStrategy = ['dtdd', 'table', 'colon'].find((k) => pairVals[k][field] === labelVals[field]) ?? 'pairs';
+    candidates[field] = [
+      { strategy: 'testId', value: testIdVals[field] },
+      { strategy: 'labelBlock', value: blockVals[field] },
+      { strategy: pairStrategy, value: labelVals[field] },
+      ...['dtdd', 'table', 'colon']
+        .filter((k) => k !== pairStrategy && pairVals[k][field])
+        .map((k) => ({ strategy: k, value: pairVals[k][field], fallbackOnly: true })),
+      { strategy: field === 'businessName' ? rxVals.businessNameVia : 'regex', value: rxVals[field] },
+    ].filter((c) => c.value);
+  }
+  const pick = (field) => candidates[field].find((c) => !c.fallbackOnly) ?? { strategy: '', value: '' };
+
+  const chosen = {
+    businessName: pick('businessName'),
+    vatNumber: pick('vatNumber'),
+    registeredAddress: pick('registeredAddress'),
+    shippedFrom: pick('shippedFrom'),
+  };
+  let businessName = chosen.businessName.value;
+  let vatNumber = chosen.vatNumber.value;
+  let registeredAddress = chosen.registeredAddress.value;
+  let shippedFrom = chosen.shippedFrom.value;
 
   // Guard against false positives like "Email"
   if (isBadBusinessName(businessName)) {
@@ -487,15 +586,92 @@ export function parseSellerPage(html, sellerId, sourceUrl = '') {
   // If shippedFrom still empty, derive from visible text phrase
   if (!shippedFrom) {
     const m = visibleText.match(/This seller ships from\s+([^\n]+)/i);
-    if (m?.[1]) shippedFrom = cleanText(m[1]);
+    if (m?.[1]) {
+      shippedFrom = cleanText(m[1]);
+      chosen.shippedFrom = { strategy: 'textPhrase', value: m[1] };
+    }
   }
 
-  return {
+  const record = {
     sellerId,
     businessName,
     vatNumber,
     registeredAddress,
     shippedFrom,
     sourceUrl,
+    ...taxIdColumns({ vatNumber, registeredAddress, shippedFrom }),
+    ...addressColumns({ registeredAddress, shippedFrom }),
+    ...extractSections(doc, visibleText, { businessName, sourceUrl }),
   };
-}
\ No newline at end of file
+
+  const provenance = {};
+  for (const field of Object.keys(FIELD_LABELS)) {
+    const value = record[field];
+    provenance[field] = {
+      strategy: value ? chosen[field].strategy : '',
+      confidence: value ? fieldConfidence(field, record, chosen[field].strategy, candidates[field]) : 0,
+      candidates: candidates[field].map(({ strategy, value: v }) => ({ strategy, value: cleanText(v).replace(/\n+/g, ', ') })),
+    };
+  }
+
+  const scores = Object.keys(FIELD_LABELS).filter((f) => record[f]).map((f) => provenance[f].confidence);
+  record.parseConfidence = scores.length ? Math.min(...scores) : '';
+  record.needsReview = scores.length ? record.parseConfidence < REVIEW_THRESHOLD : '';
+  if (detailed) record.provenance = provenance;
+  return record;
+}
+
+const FIELD_LABELS = {
+  businessName: ['Business name', 'Seller name', 'Company name'],
+  vatNumber: ['VAT number', 'VAT No', 'VAT no.'],
+  registeredAddress: ['Registered address', 'Business address', 'Company address'],
+  shippedFrom: ['Shipped from', 'Ships from', 'This seller ships from'],
+};
+
+// Records scoring below this are flagged `needsReview`
+export const REVIEW_THRESHOLD = 0.6;
+
+// How far each strategy is trusted on its own
+const STRATEGY_CONFIDENCE = {
+  testId: 0.95,
+  labelBlock: 0.85,
+  dtdd: 0.8,
+  table: 0.8,
+  colon: 0.7,
+  pairs: 0.7,
+  regex: 0.65,
+  textPhrase: 0.6,
+  'regex:line-before-vat': 0.45,
+  'regex:line-before-address': 0.4,
+  'regex:uppercase-before-vat': 0.35,
+};
+
+/**
+ * Strategy base score, +0.05 for each other strategy that found the same
+ * value, −0.15 for each that found a different one; VAT numbers also gain
+ * from a valid checksum and lose on an invalid one.
+ */
+function fieldConfidence(field, record, strategy, candidates) {
+  const norm = (v) => cleanText(v).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const value = norm(record[field]);
+  let score = STRATEGY_CONFIDENCE[strategy] ?? 0.5;
+
+  const others = new Map();
+  for (const c of candidates) {
+    if (c.strategy !== strategy) others.set(c.strategy, norm(c.value));
+  }
+  let disagreements = 0;
+  for (const other of others.values()) {
+    if (other === value || other.includes(value) || value.includes(other)) score += 0.05;
+    else disagreements++;
+  }
+  score -= 0.15 * Math.min(disagreements, 2);
+
+  if (field === 'vatNumber') {
+    if (record.taxIdValid === true) score += 0.05;
+    if (record.taxIdValid === false) score -= 0.2;
+    if (record.taxIdType === 'unknown') score -= 0.1;
+  }
+
+  return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
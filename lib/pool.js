@@ -0,0 +1,26 @@
+/**
+ * Sliding-window worker pool.
+ *
+ * Keeps up to `concurrency` tasks in flight: as soon as one finishes, the
+ * worker that ran it picks up the next item. A single slow task (e.g. one
+ * sleeping through retries) therefore only occupies its own slot instead of
+ * stalling a whole batch.
+ *
+ * Results are handed to `onResult` as they complete (not in input order).
+ * `shouldStop` is checked before each new item is taken.
+ */
+
+export async function runPool(items, worker, { concurrency = 5, onResult, shouldStop } = {}) {
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !shouldStop?.()) {
+      const item = items[next++];
+      const result = await worker(item);
+      await onResult?.(result, item);
+    }
+  };
+
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, runWorker));
+}
@@ -0,0 +1,127 @@
+/**
+ * Filtering, sorting and limiting seller records (`query`).
+ *
+ * A filter (--where, repeatable; a record must match all of them) is one of:
+ *   col=value       equals (case-insensitive, surrounding spaces ignored)
+ *   col!=value      anything else
+ *   col~text        contains (case-insensitive)
+ *   col!~text       doesn't contain
+ *   col~/re/flags   matches a regular expression (col!~/re/ doesn't)
+ *   col             has a value
+ *   !col            is missing (blank)
+ *
+ * `col` is a record column (CSV_COLUMNS) or an API attribute path such as
+ * attributes.sellerName (see lib/fields.js; needs the raw response, i.e. the
+ * SQLite store).
+ *
+ * A sort spec is a comma-separated list of columns, each optionally prefixed
+ * with `-` for descending order. Values that are both numbers compare as
+ * numbers, anything else alphabetically; blanks sort last.
+ */
+
+import { CSV_COLUMNS } from './csv.js';
+
+const COLUMN = '[A-Za-z_][\\w.]*';
+const PRESENCE = new RegExp(`^(!?)(${COLUMN})$`);
+const COMPARISON = new RegExp(`^(${COLUMN})\\s*(!=|!~|=|~)(.*)$`, 's');
+
+/** --where expression → { expr, column, test(value) }. */
+export function parseFilter(expr) {
+  const text = String(expr).trim();
+
+  const presence = text.match(PRESENCE);
+  if (presence) {
+    const [, not, column] = presence;
+    checkColumn(column, expr);
+    return { expr: text, column, test: (value) => isBlank(value) === Boolean(not) };
+  }
+
+  const comparison = text.match(COMPARISON);
+  if (!comparison) {
+    throw new Error(`Invalid --where "${expr}" (expected e.g. businessName~ltd, shippedFromIso2!=GB, '!vatNumber')`);
+  }
+  const [, column, op, rawValue] = comparison;
+  checkColumn(column, expr);
+  const negate = op.startsWith('!');
+  const match = op.endsWith('~') ? containsTest(rawValue, expr) : equalsTest(rawValue);
+  return { expr: text, column, test: (value) => match(norm(value)) !== negate };
+}
+
+/** "shippedFrom,-businessName" → [{ column, descending }]. */
+export function parseSort(spec) {
+  return String(spec).split(',').map((s) => s.trim()).filter(Boolean).map((part) => {
+    const descending = part.startsWith('-');
+    const column = part.replace(/^[-+]/, '');
+    checkColumn(column, `--sort ${spec}`);
+    return { column, descending };
+  });
+}
+
+/** Columns a query reads besides the ones it outputs. */
+export function queryColumns({ filters = [], sort = [] }) {
+  return [...new Set([...filters.map((f) => f.column), ...sort.map((s) => s.column)])];
+}
+
+/** The records matching every filter, sorted, at most `limit` of them. */
+export function queryRecords(records, { filters = [], sort = [], limit } = {}) {
+  const matched = records.filter((record) => filters.every((f) => f.test(record[f.column])));
+  if (sort.length) {
+    matched.sort((a, b) => {
+      for (const { column, descending } of sort) {
+        const order = compareValues(a[column], b[column], descending);
+        if (order) return order;
+      }
+      return 0;
+    });
+  }
+  return limit != null ? matched.slice(0, limit) : matched;
+}
+
+function checkColumn(column, context) {
+  if (CSV_COLUMNS.includes(column) || column.includes('.')) return;
+  throw new Error(`Unknown column "${column}" in ${context} — use a record column (${CSV_COLUMNS.join(', ')}) or an API attribute path like attributes.sellerName`);
+}
+
+function equalsTest(value) {
+  const wanted = norm(value).toLowerCase();
+  return (actual) => actual.toLowerCase() === wanted;
+}
+
+function containsTest(value, expr) {
+  const regex = value.trim().match(/^\/(.*)\/([a-z]*)$/s);
+  if (!regex) {
+    const wanted = norm(value).toLowerCase();
+    return (actual) => actual.toLowerCase().includes(wanted);
+  }
+  let re;
+  try {
+    re = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+  } catch (err) {
+    throw new Error(`Invalid regular expression in --where "${expr}": ${err.message}`);
+  }
+  return (actual) => re.test(actual);
+}
+
+function compareValues(a, b, descending) {
+  const x = norm(a);
+  const y = norm(b);
+  // Blanks last in either direction
+  if (!x || !y) return !x && !y ? 0 : !x ? 1 : -1;
+  const order = isNumeric(x) && isNumeric(y)
+    ? Number(x) - Number(y)
+    : x.localeCompare(y, undefined, { sensitivity: 'base' });
+  return descending ? -order : order;
+}
+
+function isNumeric(value) {
+  return /^-?\d+(\.\d+)?$/.test(value);
+}
+
+function norm(value) {
+  if (value == null) return '';
+  return (typeof value === 'object' ? JSON.stringify(value) : String(value)).trim();
+}
+
+function isBlank(value) {
+  return norm(value) === '';
+}
@@ -0,0 +1,113 @@
+/**
+ * Shared token-bucket rate limiter with AIMD (additive increase,
+ * multiplicative decrease) control.
+ *
+ * Every outgoing request awaits acquire(). The bucket refills at the current
+ * rate; the rate is adjusted from response feedback:
+ * - throttle(pauseMs): a 429 anywhere halves the rate for all workers and
+ *   pauses the bucket (honouring Retry-After). Throttles within the cooldown
+ *   window count once, so a burst of parallel 429s doesn't collapse the rate.
+ * - success(): each healthy response adds `increase / rate` req/s, i.e. the
+ *   rate climbs back by roughly `increase` req/s per second, up to maxRate.
+ */
+
+export function createRateLimiter({
+  rate = 5,
+  maxRate = rate,
+  minRate = 0.2,
+  increase = 0.1,
+  decreaseFactor = 0.5,
+  cooldownMs = 1000,
+  onChange,
+} = {}) {
+  if (!(rate > 0)) throw new Error(`Rate must be positive (got ${rate})`);
+  if (maxRate < rate) throw new Error(`Rate ceiling ${maxRate} req/s is below the target ${rate} req/s`);
+
+  let current = rate;
+  let tokens = 1;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let lastDecrease = 0;
+  let timer = null;
+  const queue = [];
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(1, tokens + ((now - lastRefill) / 1000) * current);
+    lastRefill = now;
+  };
+
+  const schedule = (ms) => {
+    if (timer) return;
+    timer = setTimeout(drain, Math.max(0, Math.ceil(ms)));
+  };
+
+  function drain() {
+    timer = null;
+    const now = Date.now();
+    if (now < pausedUntil) {
+      lastRefill = pausedUntil;
+      schedule(pausedUntil - now);
+      return;
+    }
+
+    refill();
+    while (queue.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      queue.shift()();
+    }
+    if (queue.length > 0) schedule(((1 - tokens) / current) * 1000);
+  }
+
+  return {
+    /** Wait for a token. Rejects with the signal's reason if `signal` aborts first. */
+    acquire(signal) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+
+        const onAbort = () => {
+          const idx = queue.indexOf(grant);
+          if (idx >= 0) queue.splice(idx, 1);
+          if (queue.length === 0 && timer) {
+            clearTimeout(timer);
+            timer = null;
+          }
+          reject(signal.reason);
+        };
+        const grant = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.push(grant);
+        drain();
+      });
+    },
+
+    success() {
+      if (current >= maxRate) return;
+      current = Math.min(maxRate, current + increase / current);
+    },
+
+    throttle(pauseMs = 0) {
+      const now = Date.now();
+      pausedUntil = Math.max(pausedUntil, now + pauseMs);
+      if (now - lastDecrease < cooldownMs) return;
+
+      lastDecrease = now;
+      const previous = current;
+      current = Math.max(minRate, current * decreaseFactor);
+      tokens = Math.min(tokens, 0);
+      onChange?.({ previous, rate: current, pauseMs });
+    },
+
+    get rate() {
+      return current;
+    },
+
+    get pending() {
+      return queue.length;
+    },
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * Progress output for runs that work through a list of seller IDs (scan,
+ * rescan, verify).
+ *
+ * createReporter picks one of four outputs:
+ * - lines (default): one line per ID with done/total and the current rate
+ * - dashboard on a TTY: a block of live figures redrawn in place —
+ *   throughput, ETA, found and error rates, retries, 429s, concurrency
+ * - dashboard without a TTY (piped, nohup, CI): the same figures as one
+ *   summary line every `interval` ms, plus a final one
+ * - json: NDJSON on stdout — a "result" event per ID, a "retry" event per
+ *   failed attempt that is retried, "notice" events and a final "summary"
+ *
+ * The caller reports each ID's lifecycle: started(id), then attempt(info) for
+ * every request (the onAttempt hook of lib/sources.js), then result(…) or
+ * cancelled(id). Anything printed while the run is live goes through
+ * notice(), so it doesn't tear the dashboard.
+ */
+
+export const LOG_FORMATS = ['text', 'json'];
+
+// Throughput and ETA follow the last minute, so they track rate changes
+const THROUGHPUT_WINDOW_MS = 60000;
+const REDRAW_MS = 500;
+const SUMMARY_INTERVAL_MS = 30000;
+
+/**
+ * - total, done:    IDs in the run and how many were finished before it started
+ * - format:         'text' or 'json'
+ * - dashboard:      live figures instead of per-ID lines (text only)
+ * - limiter:        the shared rate limiter, for the current req/s
+ * - concurrency:    configured requests in flight
+ * - out:            output stream (default: process.stdout)
+ */
+export function createReporter({
+  total,
+  done = 0,
+  format = 'text',
+  dashboard = false,
+  limiter,
+  concurrency,
+  out = process.stdout,
+  interval = SUMMARY_INTERVAL_MS,
+}) {
+  const stats = {
+    startedAt: Date.now(),
+    total,
+    done,
+    processed: 0,
+    found: 0,
+    empty: 0,
+    errors: 0,
+    requests: 0,
+    retries: 0,
+    rateLimited: 0,
+    last: null,
+  };
+  const inFlight = new Map();
+  const recent = [];
+
+  const mode = format === 'json' ? 'json' : !dashboard ? 'lines' : out.isTTY ? 'dashboard' : 'summary';
+  const write = (text) => out.write(text);
+  const event = (name, fields) => write(JSON.stringify({ time: new Date().toISOString(), event: name, ...fields }) + '\n');
+
+  let drawn = 0;
+  const draw = () => {
+    const width = out.columns || 100;
+    const lines = dashboardLines(figures()).map((line) => line.slice(0, width - 1));
+    write((drawn ? `\x1b[${drawn}A` : '') + lines.map((line) => `\x1b[2K${line}\n`).join(''));
+    drawn = lines.length;
+  };
+
+  let timer = null;
+  if (mode === 'dashboard') {
+    draw();
+    timer = setInterval(draw, REDRAW_MS);
+  } else if (mode === 'summary') {
+    timer = setInterval(() => write(summaryLine(figures()) + '\n'), interval);
+  }
+  timer?.unref();
+
+  function figures() {
+    const now = Date.now();
+    while (recent.length && recent[0] < now - THROUGHPUT_WINDOW_MS) recent.shift();
+    const elapsedMs = now - stats.startedAt;
+    const windowSecs = Math.min(elapsedMs, THROUGHPUT_WINDOW_MS) / 1000;
+    const throughput = windowSecs > 0 ? recent.length / windowSecs : 0;
+    const remaining = stats.total - stats.done;
+    return {
+      ...stats,
+      elapsedMs,
+      throughput,
+      average: elapsedMs > 0 ? stats.processed / (elapsedMs / 1000) : 0,
+      etaMs: remaining === 0 ? 0 : throughput > 0 ? (remaining / throughput) * 1000 : null,
+      rate: limiter?.rate ?? null,
+      inFlight: inFlight.size,
+      concurrency,
+    };
+  }
+
+  return {
+    started(sellerId) {
+      inFlight.set(sellerId, { startedAt: Date.now(), attempts: 0, httpStatus: null, latencyMs: 0 });
+    },
+
+    /** One request attempt, as reported by lib/sources.js onAttempt. */
+    attempt(info) {
+      stats.requests++;
+      if (info.httpStatus === 429) stats.rateLimited++;
+      if (info.retrying) stats.retries++;
+
+      const entry = inFlight.get(info.sellerId);
+      if (entry) {
+        entry.attempts++;
+        entry.httpStatus = info.httpStatus;
+        entry.latencyMs += info.latencyMs;
+      }
+      if (mode === 'json' && info.retrying) {
+        event('retry', {
+          sellerId: info.sellerId,
+          request: info.request,
+          url: info.url,
+          attempt: info.attempt,
+          httpStatus: info.httpStatus,
+          outcome: info.outcome,
+          latencyMs: info.latencyMs,
+          ...(info.backoffMs != null ? { backoffMs: info.backoffMs } : {}),
+          ...(info.error ? { error: info.error } : {}),
+        });
+      }
+    },
+
+    /**
+     * A finished ID. `status` is ok, empty or error; `message` is the text
+     * shown for it; `details` (e.g. businessName, source, error) go into the
+     * JSON event.
+     */
+    result(sellerId, status, message, details = {}) {
+      const entry = inFlight.get(sellerId);
+      inFlight.delete(sellerId);
+      stats.processed++;
+      stats.done++;
+      if (status === 'ok') stats.found++;
+      else if (status === 'empty') stats.empty++;
+      else stats.errors++;
+      stats.last = { sellerId, message };
+      recent.push(Date.now());
+
+      if (mode === 'json') {
+        event('result', {
+          sellerId,
+          status,
+          httpStatus: entry?.httpStatus ?? null,
+          attempts: entry?.attempts ?? 0,
+          latencyMs: entry?.latencyMs ?? 0,
+          elapsedMs: entry ? Date.now() - entry.startedAt : null,
+          ...details,
+        });
+      } else if (mode === 'lines') {
+        const pct = ((stats.done / stats.total) * 100).toFixed(1);
+        const rate = limiter ? ` | ${limiter.rate.toFixed(1)} req/s` : '';
+        write(`\r[${stats.done}/${stats.total} ${pct}%${rate}] ID ${sellerId}: ${message}\n`);
+      }
+    },
+
+    /** An ID whose request was aborted by a shutdown (it stays pending). */
+    cancelled(sellerId) {
+      inFlight.delete(sellerId);
+    },
+
+    /** A message for the log; printed above the dashboard while it is live. */
+    notice(message, fields = {}) {
+      if (mode === 'json') {
+        event('notice', { message: message.trim(), ...fields });
+      } else if (mode === 'dashboard' && drawn) {
+        write(`\x1b[${drawn}A\x1b[0J${message}\n`);
+        drawn = 0;
+        draw();
+      } else {
+        write(message + '\n');
+      }
+    },
+
+    /** Stop redrawing and print the final figures (dashboard, summary and json). */
+    close() {
+      clearInterval(timer);
+      timer = null;
+      if (mode === 'dashboard') draw();
+      else if (mode === 'summary') write(summaryLine(figures()) + '\n');
+      else if (mode === 'json') {
+        const { last, startedAt, throughput, average, rate, ...final } = figures();
+        event('summary', { ...final, throughput: round(throughput), average: round(average), rate: rate != null ? round(rate) : null });
+      }
+    },
+  };
+}
+
+function dashboardLines(f) {
+  const pct = f.total ? (f.done / f.total) * 100 : 100;
+  const barWidth = 30;
+  const filled = Math.round((pct / 100) * barWidth);
+  return [
+    `  Progress    [${'#'.repeat(filled)}${'-'.repeat(barWidth - filled)}] ${f.done}/${f.total} ${pct.toFixed(1)}%`,
+    `  Throughput  ${f.throughput.toFixed(2)} IDs/s (last minute), ${f.average.toFixed(2)} average | ETA ${formatEta(f.etaMs)}`,
+    `  Sellers     ${f.found} found (${share(f.found, f.processed)}) | ${f.empty} without a seller`,
+    `  Errors      ${f.errors} (${share(f.errors, f.processed)}) | ${f.retries} retries | ${f.rateLimited} × HTTP 429`,
+    `  Requests    ${f.requests} sent | ${f.rate != null ? `${f.rate.toFixed(2)} req/s` : 'no rate limit'} | in flight ${f.inFlight}/${f.concurrency ?? '?'} | elapsed ${formatDuration(f.elapsedMs)}`,
+    `  Last        ${f.last ? `ID ${f.last.sellerId}: ${f.last.message}` : '—'}`,
+  ];
+}
+
+function summaryLine(f) {
+  const pct = f.total ? ((f.done / f.total) * 100).toFixed(1) : '100.0';
+  return [
+    `[${new Date().toISOString().slice(11, 19)}] ${f.done}/${f.total} ${pct}%`,
+    `${f.throughput.toFixed(2)} IDs/s`,
+    `ETA ${formatEta(f.etaMs)}`,
+    `found ${f.found} (${share(f.found, f.processed)})`,
+    `errors ${f.errors} (${share(f.errors, f.processed)})`,
+    `429s ${f.rateLimited}`,
+    `retries ${f.retries}`,
+    ...(f.rate != null ? [`${f.rate.toFixed(2)} req/s`] : []),
+    `in flight ${f.inFlight}/${f.concurrency ?? '?'}`,
+  ].join(' | ');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function share(count, of) {
+  return of ? `${((count / of) * 100).toFixed(1)}%` : '0.0%';
+}
+
+function formatEta(ms) {
+  return ms == null ? '—' : formatDuration(ms);
+}
+
+/** 42000 → "42s", 3725000 → "1h 2m" */
+function formatDuration(ms) {
+  const secs = Math.round(ms / 1000);
+  if (secs < 60) return `${secs}s`;
+  const mins = Math.floor(secs / 60);
+  if (mins < 60) return `${mins}m ${secs % 60}s`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 48) return `${hours}h ${mins % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
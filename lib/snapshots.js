@@ -0,0 +1,203 @@
+/**
+ * Dated seller snapshots and change reports for `rescan`.
+ *
+ * A rescan fetches every ID again (ignoring progress.json) and writes one
+ * NDJSON line per ID to results/<market>/snapshots/in-progress.ndjson:
+ *   {"sellerId":2000,"status":"ok","record":{...}}
+ *   {"sellerId":2001,"status":"empty"}
+ *   {"sellerId":2002,"status":"error","error":"API HTTP 500"}
+ * The file is appended per result, so an interrupted rescan resumes where it
+ * stopped. When the rescan completes it is renamed to <timestamp>.ndjson and
+ * diffed against the last known state of each ID: sellers.csv with every
+ * earlier snapshot layered on top (loadPreviousState). A rescan may cover
+ * only part of the range, so the latest snapshot alone isn't enough.
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, appendFileSync, renameSync } from 'node:fs';
+import { parseCsvRecords } from './csv.js';
+
+export const SNAPSHOT_FIELDS = ['businessName', 'vatNumber', 'registeredAddress', 'shippedFrom'];
+
+const IN_PROGRESS = 'in-progress.ndjson';
+
+export function snapshotDir(marketDir) {
+  return `${marketDir}/snapshots`;
+}
+
+/** Completed snapshot file names, oldest first. */
+export function listSnapshots(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter((f) => f.endsWith('.ndjson') && f !== IN_PROGRESS)
+    .sort();
+}
+
+/** Load a snapshot into a Map of sellerId -> entry. Later lines win. */
+export function loadSnapshot(path) {
+  const entries = new Map();
+  if (!existsSync(path)) return entries;
+
+  for (const line of readFileSync(path, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      entries.set(Number(entry.sellerId), entry);
+    } catch {
+      // torn last line from an interrupted run — the ID is simply re-fetched
+    }
+  }
+  return entries;
+}
+
+/** Use the existing sellers.csv as a baseline when no snapshot exists yet. */
+export function loadCsvBaseline(csvPath) {
+  const entries = new Map();
+  if (!existsSync(csvPath)) return entries;
+
+  for (const row of parseCsvRecords(readFileSync(csvPath, 'utf-8'))) {
+    const sellerId = Number(row.sellerId);
+    entries.set(sellerId, { sellerId, status: 'ok', record: { ...row, sellerId } });
+  }
+  return entries;
+}
+
+/**
+ * The last known entry per ID before this rescan: sellers.csv, then each
+ * completed snapshot oldest first. An error says nothing about the seller,
+ * so it doesn't replace what an earlier source knew.
+ * Returns { entries, sources } — `sources` names what was layered.
+ */
+export function loadPreviousState(dir, csvPath) {
+  const entries = loadCsvBaseline(csvPath);
+  const sources = entries.size ? [csvPath] : [];
+  for (const name of listSnapshots(dir)) {
+    for (const [id, entry] of loadSnapshot(`${dir}/${name}`)) {
+      if (entry.status !== 'error' || !entries.has(id)) entries.set(id, entry);
+    }
+    sources.push(name);
+  }
+  return { entries, sources };
+}
+
+/**
+ * Open (or resume) the in-progress snapshot of a rescan.
+ * Returns { done, append(entry), finalize(stamp) }.
+ */
+export function openSnapshot(dir) {
+  mkdirSync(dir, { recursive: true });
+  const path = `${dir}/${IN_PROGRESS}`;
+  const existing = loadSnapshot(path);
+
+  return {
+    path,
+    entries: existing,
+    done: new Set(existing.keys()),
+    append(entry) {
+      existing.set(Number(entry.sellerId), entry);
+      appendFileSync(path, JSON.stringify(entry) + '\n', 'utf-8');
+    },
+    finalize(stamp) {
+      const finalPath = `${dir}/${stamp}.ndjson`;
+      renameSync(path, finalPath);
+      return finalPath;
+    },
+  };
+}
+
+export function snapshotEntry(result) {
+  if (result.error) return { sellerId: result.sellerId, status: 'error', error: result.error };
+  if (!hasSellerData(result)) return { sellerId: result.sellerId, status: 'empty' };
+
+  const record = { sellerId: result.sellerId };
+  for (const field of SNAPSHOT_FIELDS) record[field] = result[field] || '';
+  record.sourceUrl = result.sourceUrl || '';
+  return { sellerId: result.sellerId, status: 'ok', record };
+}
+
+function hasSellerData(result) {
+  return SNAPSHOT_FIELDS.some((f) => result[f]);
+}
+
+/**
+ * Compare two snapshots. Only IDs present in `current` are considered, so a
+ * rescan of a sub-range doesn't report everything outside it as removed.
+ *
+ * - added:     ok now, not ok (or unknown) before
+ * - removed:   ok before, now 404/410 or empty
+ * - modified:  ok in both, with per-field { before, after }
+ * - unchecked: errored in this rescan, so their state is unknown
+ */
+export function diffSnapshots(previous, current) {
+  const added = [];
+  const removed = [];
+  const modified = [];
+  const unchecked = [];
+  let unchanged = 0;
+
+  const ids = [...current.keys()].sort((a, b) => a - b);
+  for (const id of ids) {
+    const curr = current.get(id);
+    const prev = previous.get(id);
+    const wasOk = prev?.status === 'ok';
+
+    if (curr.status === 'error') {
+      unchecked.push({ sellerId: id, error: curr.error });
+      continue;
+    }
+
+    if (curr.status === 'ok' && !wasOk) {
+      added.push(curr.record);
+    } else if (curr.status !== 'ok' && wasOk) {
+      removed.push(prev.record);
+    } else if (curr.status === 'ok' && wasOk) {
+      const changes = {};
+      for (const field of SNAPSHOT_FIELDS) {
+        const before = (prev.record[field] || '').trim();
+        const after = (curr.record[field] || '').trim();
+        if (before !== after) changes[field] = { before, after };
+      }
+      if (Object.keys(changes).length > 0) {
+        modified.push({ sellerId: id, businessName: curr.record.businessName, changes });
+      } else {
+        unchanged++;
+      }
+    }
+  }
+
+  return { added, removed, modified, unchecked, unchanged };
+}
+
+/** Human-readable change report. */
+export function formatChangeReport(diff, { from, to }) {
+  const out = [];
+  out.push(`Changes: ${from} -> ${to}`);
+  out.push(`  New sellers:      ${diff.added.length}`);
+  out.push(`  Removed sellers:  ${diff.removed.length}`);
+  out.push(`  Modified sellers: ${diff.modified.length}`);
+  out.push(`  Unchanged:        ${diff.unchanged}`);
+  out.push(`  Unchecked (errors): ${diff.unchecked.length}`);
+
+  if (diff.added.length) {
+    out.push('', 'New sellers:');
+    for (const r of diff.added) out.push(`  + ID ${r.sellerId}: ${r.businessName || '(no name)'} ${r.vatNumber ? `[${r.vatNumber}]` : ''}`.trimEnd());
+  }
+
+  if (diff.removed.length) {
+    out.push('', 'Removed sellers (now 404/410 or empty):');
+    for (const r of diff.removed) out.push(`  - ID ${r.sellerId}: ${r.businessName || '(no name)'}`);
+  }
+
+  if (diff.modified.length) {
+    out.push('', 'Modified sellers:');
+    for (const m of diff.modified) {
+      out.push(`  ~ ID ${m.sellerId}: ${m.businessName || '(no name)'}`);
+      for (const [field, { before, after }] of Object.entries(m.changes)) {
+        out.push(`      ${field}:`);
+        out.push(`        before: ${before || '(empty)'}`);
+        out.push(`        after:  ${after || '(empty)'}`);
+      }
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
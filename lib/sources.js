@@ -0,0 +1,284 @@
+/**
+ * Seller record sources.
+ *
+ * - api:  Kingfisher marketplace seller API (JSON:API, fast, needs the API key)
+ * - html: public verified-seller storefront page, parsed with parseSellerPage
+ * - auto: API first, falling back to the storefront page when the API call
+ *         errors or returns no `attributes` (e.g. after an API key rotation)
+ *
+ * Every source resolves to the same flat record shape:
+ *   { sellerId, businessName, vatNumber, registeredAddress, shippedFrom, sourceUrl }
+ * or { sellerId, error } when all retries failed, or { sellerId, aborted }
+ * when the run was cancelled. API results also carry the parsed response
+ * body as `raw`.
+ */
+
+import { parseSellerPage } from './parse.js';
+import { sellerApiUrl, sellerPageUrl, resolveApiKey } from './markets.js';
+import { taxIdColumns } from './taxid.js';
+import { ADDRESS_PARTS, addressFromApi, addressColumns, isPlaceholder } from './address.js';
+
+export const SOURCES = ['api', 'html', 'auto'];
+
+const MAX_RETRIES = 3;
+export const DEFAULT_TIMEOUT_MS = 30000;
+
+const PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml',
+  'Accept-Language': 'en-GB,en;q=0.9',
+};
+
+/**
+ * Options shared by every source:
+ * - limiter:   shared rate limiter from lib/rate-limit.js; every request
+ *              attempt waits on it and reports 429s / healthy responses back
+ * - timeoutMs: per-attempt timeout (headers and body); a timeout is retried
+ * - signal:    run-level AbortSignal; aborting it cancels the request in
+ *              flight and resolves to { sellerId, aborted: true }
+ * - fetch:     fetch implementation (default: global fetch); lib/cassettes.js
+ *              swaps in recording / replaying versions
+ * - onAttempt: called after every request attempt with
+ *              { sellerId, request ('API' | 'Page'), url, attempt, httpStatus, outcome,
+ *              latencyMs, retrying, backoffMs?, error? }
+ *              (outcome: ok, not-found, rate-limited, http-error, timeout, error)
+ */
+export async function scrapeSeller(sellerId, { market, source = 'api', limiter, timeoutMs, signal, fetch, onAttempt }) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown source "${source}". Expected one of: ${SOURCES.join(', ')}`);
+  }
+
+  const opts = { limiter, timeoutMs, signal, fetch, onAttempt };
+  if (source === 'html') return scrapeSellerHtml(sellerId, market, opts);
+
+  const apiResult = await scrapeSellerApi(sellerId, market, opts);
+  if (source === 'api' || apiResult.aborted || (!apiResult.error && !apiResult.missingAttributes)) {
+    return apiResult;
+  }
+
+  // auto: the API failed or answered without attributes — try the storefront page
+  const htmlResult = await scrapeSellerHtml(sellerId, market, opts);
+  if (htmlResult.aborted) return htmlResult;
+  if (htmlResult.error && apiResult.error) {
+    return { sellerId, error: `API: ${apiResult.error}; HTML: ${htmlResult.error}` };
+  }
+  return htmlResult.error ? apiResult : htmlResult;
+}
+
+export async function scrapeSellerApi(sellerId, market, opts = {}) {
+  const sourceUrl = sellerPageUrl(market, sellerId);
+
+  const res = await fetchWithRetry('API', sellerApiUrl(market, sellerId), {
+    headers: {
+      'Authorization': resolveApiKey(market),
+      'Accept': '*/*',
+    },
+  }, (resp) => resp.json(), { ...opts, sellerId });
+
+  if (res.aborted) return { sellerId, aborted: true };
+  if (res.error) return { sellerId, error: res.error };
+  if (res.notFound) return { ...emptyResult(sellerId, sourceUrl), source: 'api' };
+
+  const parsed = parseSellerApiResponse(res.body, sellerId, sourceUrl);
+  if (!parsed) {
+    return { ...emptyResult(sellerId, sourceUrl), source: 'api', missingAttributes: true, raw: res.body };
+  }
+  return { ...parsed, source: 'api', raw: res.body };
+}
+
+export async function scrapeSellerHtml(sellerId, market, opts = {}) {
+  const sourceUrl = sellerPageUrl(market, sellerId);
+
+  const res = await fetchWithRetry('Page', sourceUrl, { headers: PAGE_HEADERS }, (resp) => resp.text(), { ...opts, sellerId });
+
+  if (res.aborted) return { sellerId, aborted: true };
+  if (res.error) return { sellerId, error: res.error };
+  if (res.notFound) return { ...emptyResult(sellerId, sourceUrl), source: 'html' };
+
+  return { ...parseSellerPage(res.body, sellerId, sourceUrl), source: 'html' };
+}
+
+/**
+ * GET with the scraper's retry policy:
+ * - 404/410 → { notFound: true } (the seller ID doesn't exist)
+ * - 429     → back off (honouring Retry-After) and retry; with a limiter the
+ *             backoff pauses and slows down every worker, not just this one
+ * - timeouts, other non-OK statuses and thrown errors → retry with a linear delay
+ *   (unless the error says `retryable: false`, e.g. a missing replay cassette)
+ * - run signal aborted → { aborted: true } straight away, no retry
+ * Resolves to { body } (the result of `read(resp)`), { notFound }, { error }
+ * or { aborted }. Each attempt (except aborted ones) is reported to `onAttempt`.
+ */
+async function fetchWithRetry(label, url, init, read, { limiter, timeoutMs = DEFAULT_TIMEOUT_MS, signal, fetch: fetchImpl = fetch, onAttempt, sellerId } = {}) {
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    if (signal?.aborted) return { aborted: true };
+
+    // Wait for the rate limiter first so the timeout only covers the request itself
+    try {
+      await limiter?.acquire(signal);
+    } catch {
+      return { aborted: true };
+    }
+
+    const started = Date.now();
+    let httpStatus = null;
+    const report = (outcome, extra = {}) => onAttempt?.({
+      sellerId,
+      request: label,
+      url,
+      attempt,
+      httpStatus,
+      outcome,
+      latencyMs: Date.now() - started,
+      retrying: false,
+      ...extra,
+    });
+
+    const attemptController = new AbortController();
+    const onAbort = () => attemptController.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => {
+      attemptController.abort(new TimeoutError(`${label} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    try {
+      const resp = await fetchImpl(url, { ...init, signal: attemptController.signal });
+      httpStatus = resp.status;
+
+      // Not found — seller ID doesn't exist
+      if (resp.status === 404 || resp.status === 410) {
+        limiter?.success();
+        report('not-found');
+        return { notFound: true };
+      }
+
+      // Rate limited — back off and retry
+      if (resp.status === 429) {
+        const retryAfter = parseInt(resp.headers.get('retry-after') || '0', 10);
+        const backoff = Math.max(retryAfter * 1000, 2000 * Math.pow(2, attempt));
+        if (limiter) limiter.throttle(backoff);
+        report('rate-limited', { retrying: attempt < MAX_RETRIES, backoffMs: backoff });
+        if (attempt < MAX_RETRIES) {
+          // The limiter already holds every worker back for `backoff`
+          if (!limiter) await sleep(backoff, signal);
+          continue;
+        }
+        return { error: 'Rate limited (429)' };
+      }
+
+      if (!resp.ok) {
+        const errMsg = `${label} HTTP ${resp.status}`;
+        report('http-error', { retrying: attempt < MAX_RETRIES, error: errMsg });
+        if (attempt < MAX_RETRIES) {
+          await sleep(4000 * attempt, signal);
+          continue;
+        }
+        return { error: errMsg };
+      }
+
+      const body = await read(resp);
+      limiter?.success();
+      report('ok');
+      return { body };
+    } catch (err) {
+      if (signal?.aborted) return { aborted: true };
+
+      // A timeout surfaces as the abort reason we passed in
+      const cause = attemptController.signal.aborted ? attemptController.signal.reason : err;
+      const retrying = attempt < MAX_RETRIES && cause?.retryable !== false;
+      report(cause instanceof TimeoutError ? 'timeout' : 'error', { retrying, error: cause?.message || String(cause) });
+      if (retrying) {
+        await sleep(4000 * attempt, signal);
+        continue;
+      }
+      return { error: cause?.message || String(cause) };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  if (signal?.aborted) return { aborted: true };
+  return { error: 'Unknown scraping failure' };
+}
+
+class TimeoutError extends Error {
+  name = 'TimeoutError';
+}
+
+/**
+ * Parse the Kingfisher seller API JSON response into our flat CSV format.
+ * Returns null when the response carries no `attributes` block.
+ *
+ * API response shape (JSON:API):
+ *   { data: { id, type, attributes: {
+ *       corporateName, taxIdentificationNumber, shippingCountry,
+ *       corporateContactInformation: { street1, city, state, country, postCode }
+ *   }}}
+ */
+export function parseSellerApiResponse(json, sellerId, sourceUrl) {
+  const attrs = json?.data?.attributes;
+  if (!attrs) {
+    return null;
+  }
+
+  const businessName = (attrs.corporateName || attrs.sellerName || '').trim();
+  // The storefront name, when the seller trades under something other than the company name
+  const sellerName = (attrs.sellerName || '').trim();
+  const tradingName = sellerName && sellerName.toLowerCase() !== businessName.toLowerCase() ? sellerName : '';
+  const vatNumber = (attrs.taxIdentificationNumber || '').trim();
+  const shippedFrom = (attrs.shippingCountry || '').trim();
+
+  // Prefer corporateContactInformation, but fall back to contactInformation
+  // if the corporate fields are placeholder "TBC" values
+  const corpAddr = attrs.corporateContactInformation;
+  const contactAddr = attrs.contactInformation;
+  const useCorporate = corpAddr && !isTbcAddress(corpAddr);
+  const addr = useCorporate ? corpAddr : contactAddr;
+  const components = addressFromApi(addr && typeof addr === 'object' ? addr : {});
+  const registeredAddress = ADDRESS_PARTS.map((p) => components[p]).filter(Boolean).join(', ');
+
+  return {
+    sellerId,
+    businessName,
+    vatNumber,
+    registeredAddress,
+    shippedFrom,
+    sourceUrl,
+    ...taxIdColumns({ vatNumber, registeredAddress, shippedFrom }),
+    ...addressColumns({ registeredAddress, shippedFrom }, components),
+    tradingName,
+    // Which API block the address came from: 'corporate', 'contact' (TBC fallback) or ''
+    addressSource: registeredAddress ? (useCorporate ? 'corporate' : 'contact') : '',
+  };
+}
+
+/** Returns true if all address fields are empty or placeholders ("TBC", "--- Please Select ---"; see isPlaceholder). */
+export function isTbcAddress(addr) {
+  return [addr.street1, addr.street2, addr.city, addr.state, addr.postCode, addr.country].every(isPlaceholder);
+}
+
+export function emptyResult(sellerId, url) {
+  return {
+    sellerId,
+    businessName: '',
+    vatNumber: '',
+    registeredAddress: '',
+    shippedFrom: '',
+    sourceUrl: url,
+  };
+}
+
+/** Resolves after `ms`, or early once `signal` aborts. */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
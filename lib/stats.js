@@ -0,0 +1,145 @@
+/**
+ * Summary statistics over the collected sellers (`stats`).
+ *
+ * - sellers by shipping country and by registered-address country
+ *   (ISO alpha-2 where the value is recognised, else the value as given)
+ * - tax ID coverage: VAT numbers (checksum valid / invalid / no checksum),
+ *   company numbers only, unrecognised values and missing ones
+ * - address source: how many registered addresses came from the corporate
+ *   block and how many from the contact block because the corporate one was
+ *   all "TBC" (isTbcAddress, see lib/sources.js). Records carry it in their
+ *   addressSource column; rows written before that column existed fall back
+ *   to the raw API response — the SQLite store or the --archive file — and
+ *   count as unknown without one.
+ */
+
+import { isTbcAddress } from './sources.js';
+import { lookupCountry } from './countries.js';
+
+/** Record columns sellerStats reads. */
+export const STATS_COLUMNS = [
+  'sellerId',
+  'vatNumber',
+  'taxIdType',
+  'taxIdNormalized',
+  'taxIdValid',
+  'registeredAddress',
+  'shippedFrom',
+  'shippedFromIso2',
+  'addressCountry',
+  'addressCountryIso2',
+  'addressSource',
+  'attributes.corporateContactInformation',
+  'attributes.contactInformation',
+];
+
+/**
+ * `archive` (optional) maps sellerId → archived API response (see
+ * lib/archive.js), used when a record doesn't carry its raw response.
+ */
+export function sellerStats(records, { archive } = {}) {
+  const shippedFrom = new Map();
+  const addressCountry = new Map();
+  const taxIds = { vatValid: 0, vatInvalid: 0, vatUnchecked: 0, companyNumber: 0, unrecognised: 0, missing: 0 };
+  const addressSource = { corporate: 0, tbcFallback: 0, noAddress: 0, unknown: 0 };
+
+  for (const record of records) {
+    tally(shippedFrom, countryKey(record.shippedFromIso2, record.shippedFrom));
+    tally(addressCountry, countryKey(record.addressCountryIso2, record.addressCountry));
+
+    if (!String(record.taxIdNormalized ?? '').trim()) taxIds.missing++;
+    else if (record.taxIdType === 'vat') {
+      const valid = String(record.taxIdValid);
+      if (valid === 'true') taxIds.vatValid++;
+      else if (valid === 'false') taxIds.vatInvalid++;
+      else taxIds.vatUnchecked++;
+    } else if (record.taxIdType === 'company') taxIds.companyNumber++;
+    else taxIds.unrecognised++;
+
+    addressSource[sourceOf(record, archive?.get(Number(record.sellerId)))]++;
+  }
+
+  return {
+    sellers: records.length,
+    shippedFrom: ranked(shippedFrom),
+    addressCountry: ranked(addressCountry),
+    taxIds,
+    addressSource,
+  };
+}
+
+export function formatStats(stats) {
+  const out = [];
+  const pct = (n) => (stats.sellers ? `${((n / stats.sellers) * 100).toFixed(1)}%` : '0.0%');
+  const line = (label, n) => out.push(`  ${label.padEnd(36)} ${String(n).padStart(6)}  ${pct(n).padStart(6)}`);
+
+  out.push(`Sellers: ${stats.sellers}`);
+
+  for (const [title, counts] of [['Shipped from', stats.shippedFrom], ['Registered address country', stats.addressCountry]]) {
+    out.push('', `${title}:`);
+    for (const { value, count } of counts) line(countryLabel(value), count);
+  }
+
+  const t = stats.taxIds;
+  out.push('', 'Tax IDs:');
+  line('VAT number, checksum valid', t.vatValid);
+  line('VAT number, checksum invalid', t.vatInvalid);
+  line('VAT number, no checksum for country', t.vatUnchecked);
+  line('Company number only', t.companyNumber);
+  line('Unrecognised value', t.unrecognised);
+  line('Missing (blank or placeholder)', t.missing);
+  line('With a VAT number', t.vatValid + t.vatInvalid + t.vatUnchecked);
+
+  const a = stats.addressSource;
+  out.push('', 'Registered address source:');
+  line('Corporate contact information', a.corporate);
+  line('Contact information (TBC fallback)', a.tbcFallback);
+  line('No address', a.noAddress);
+  line('Unknown (older row, no raw response)', a.unknown);
+  if (a.unknown > 0) out.push('  (rows from before the addressSource column: re-fetch them, or keep raw responses with --store sqlite or --archive)');
+
+  return out.join('\n') + '\n';
+}
+
+/** corporate, tbcFallback, noAddress or unknown — mirrors parseSellerApiResponse. */
+function sourceOf(record, archived) {
+  if (!String(record.registeredAddress ?? '').trim()) return 'noAddress';
+  const stored = String(record.addressSource ?? '').trim();
+  if (stored === 'corporate') return 'corporate';
+  if (stored === 'contact') return 'tbcFallback';
+
+  let corporate = record['attributes.corporateContactInformation'];
+  let contact = record['attributes.contactInformation'];
+  if (!isBlock(corporate) && !isBlock(contact)) {
+    const attrs = archived?.raw?.data?.attributes;
+    if (!attrs) return 'unknown';
+    corporate = attrs.corporateContactInformation;
+    contact = attrs.contactInformation;
+  }
+  return isBlock(corporate) && !isTbcAddress(corporate) ? 'corporate' : isBlock(contact) ? 'tbcFallback' : 'unknown';
+}
+
+function isBlock(value) {
+  return value != null && typeof value === 'object';
+}
+
+function countryKey(iso2, value) {
+  return String(iso2 ?? '').trim() || String(value ?? '').trim() || '';
+}
+
+function countryLabel(value) {
+  if (!value) return '(blank)';
+  const country = lookupCountry(value);
+  return country ? `${country.iso2} ${country.name}` : value;
+}
+
+function tally(counts, key) {
+  counts.set(key, (counts.get(key) ?? 0) + 1);
+}
+
+/** Most common first, ties alphabetically. */
+function ranked(counts) {
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
@@ -0,0 +1,438 @@
+/**
+ * Result stores for the scan loop.
+ *
+ * - files:  per-ID status in progress.journal (append-only, fsynced per
+ *           result) compacted every COMPACT_EVERY results into progress.json
+ *           (written atomically), plus an append-only sellers.csv — the
+ *           original layout, works on any Node. On open, a torn last
+ *           journal line is dropped and the journal replayed over the snapshot.
+ * - sqlite: results/<market>/sellers.db via Node's built-in node:sqlite
+ *           (Node 22.13+; 22.5–22.12 behind --experimental-sqlite). Per-ID status, the seller record, the raw API
+ *           response and timestamps are committed in one transaction per
+ *           result, so a crash can't leave a CSV row without its status.
+ *           sellers.csv becomes an export produced from the database.
+ *           It won't start on an empty sellers.db next to files-store
+ *           results (`import` them first, see importLegacy), and exportCsv
+ *           never writes over a sellers.csv with sellers the database
+ *           doesn't know.
+ *
+ * Both stores expose the same interface:
+ *   get(id)       → { status, error?, updatedAt? } | undefined
+ *                   (updatedAt is missing on entries written before it existed)
+ *   put(result)   → record a scrape result (ok / empty / error); a
+ *                   `result.updatedAt` is kept (merge), otherwise it's now
+ *   checkpoint()  → persist after a result (files: compact the journal
+ *                   every COMPACT_EVERY results)
+ *   rows(columns) → ok sellers as export rows (see lib/exporters.js)
+ *   close()       → final persist
+ *
+ * `columns` (--fields, see lib/fields.js) picks the sellers.csv columns;
+ * it defaults to CSV_COLUMNS. `readOnly` opens the files store for rows()
+ * only, leaving sellers.csv, progress.json and the journal untouched.
+ * `importing` opens an empty sellers.db despite files-store results (import).
+ *
+ * The files store also has `recovery` (what loadProgress had to repair) and
+ * reconcile(), which rewrites sellers.csv to match the recovered statuses.
+ */
+
+import { existsSync, readFileSync, rmSync } from 'node:fs';
+import { openJournal, readJournal, writeFileAtomic } from './journal.js';
+import { initCsv, appendCsvRow, writeCsv, parseCsvRecords, readCsvHeader, isEarlierDefaultHeader, CSV_COLUMNS } from './csv.js';
+import { taxIdColumns } from './taxid.js';
+import { addressColumns } from './address.js';
+import { projectRecord } from './fields.js';
+
+export const STORES = ['files', 'sqlite'];
+
+const RECORD_FIELDS = ['businessName', 'vatNumber', 'registeredAddress', 'shippedFrom'];
+
+export function resultStatus(result) {
+  if (result.error) return 'error';
+  return RECORD_FIELDS.some((f) => result[f]) ? 'ok' : 'empty';
+}
+
+export async function openStore(kind, paths, options = {}) {
+  if (kind === 'files') return openFileStore(paths, options);
+  if (kind === 'sqlite') return openSqliteStore(paths, options);
+  throw new Error(`Unknown store "${kind}". Expected one of: ${STORES.join(', ')}`);
+}
+
+// --- progress.json + progress.journal + sellers.csv ---
+
+// Journal entries folded into progress.json this often
+const COMPACT_EVERY = 1000;
+
+/**
+ * Per-ID statuses: progress.json replayed with the journal. With `repair`, a
+ * torn last journal line is cut off. A progress.json left truncated by an
+ * older version (written in place) is rebuilt: IDs with a sellers.csv row
+ * count as ok, everything else is fetched again.
+ *
+ * Returns { progress, recovery: { tornLine, skippedLines, snapshotRebuilt, replayed } }.
+ */
+export function loadProgress({ progress: progressPath, journal: journalPath, csv }, { repair = false } = {}) {
+  let progress = {};
+  let snapshotRebuilt = false;
+  if (existsSync(progressPath)) {
+    try {
+      progress = JSON.parse(readFileSync(progressPath, 'utf-8'));
+    } catch {
+      snapshotRebuilt = true;
+      const rows = existsSync(csv) ? parseCsvRecords(readFileSync(csv, 'utf-8')) : [];
+      for (const row of rows) {
+        if (Number.isFinite(Number(row.sellerId))) progress[Number(row.sellerId)] = { status: 'ok' };
+      }
+    }
+  }
+
+  const { entries, torn, skipped } = readJournal(journalPath, { repair });
+  for (const { id, ...entry } of entries) {
+    if (entry.status) progress[id] = entry;
+    else delete progress[id];
+  }
+
+  return { progress, recovery: { tornLine: torn, skippedLines: skipped, snapshotRebuilt, replayed: entries.length } };
+}
+
+function openFileStore(paths, { columns = CSV_COLUMNS, readOnly = false } = {}) {
+  const { csv, progress: progressPath } = paths;
+  const { progress, recovery } = loadProgress(paths, { repair: !readOnly });
+  if (!readOnly) prepareCsv(csv, columns);
+  const journal = readOnly ? null : openJournal(paths.journal);
+  let putsSinceCompact = 0;
+  // Set when an ID that already had a CSV row is fetched again (retry runs)
+  let csvStale = false;
+
+  // Fold the journal into progress.json; the journal only empties once the snapshot is on disk
+  const compact = () => {
+    writeFileAtomic(progressPath, JSON.stringify(progress));
+    journal.reset();
+    putsSinceCompact = 0;
+  };
+  // A rebuilt or repaired state is written back straight away
+  if (!readOnly && (recovery.snapshotRebuilt || recovery.tornLine || recovery.skippedLines)) compact();
+
+  const setStatus = (id, entry) => {
+    journal.append({ id, ...entry });
+    if (entry.status) progress[id] = entry;
+    else delete progress[id];
+  };
+
+  // Keep only the latest row per seller, and only for IDs still marked ok
+  const compactCsv = () => {
+    const latest = new Map();
+    for (const row of parseCsvRecords(readFileSync(csv, 'utf-8'))) {
+      if (progress[row.sellerId]?.status === 'ok') latest.set(Number(row.sellerId), row);
+    }
+    writeCsv(csv, [...latest.values()].sort((a, b) => a.sellerId - b.sellerId), columns);
+    csvStale = false;
+  };
+
+  return {
+    kind: 'files',
+    output: csv,
+    recovery,
+    get: (id) => progress[id],
+    ids: () => Object.keys(progress).map(Number),
+    /** Latest sellers.csv row per ok seller, projected onto `exportColumns`. */
+    rows(exportColumns = columns) {
+      const latest = new Map();
+      for (const row of parseCsvRecords(readFileSync(csv, 'utf-8'))) {
+        const sellerId = Number(row.sellerId);
+        if (progress[sellerId] && progress[sellerId].status !== 'ok') continue;
+        latest.set(sellerId, { ...withDerivedColumns(row), sellerId });
+      }
+      return [...latest.values()].sort((a, b) => a.sellerId - b.sellerId).map((row) => projectRecord(row, exportColumns));
+    },
+    put(result) {
+      const status = resultStatus(result);
+      const updatedAt = result.updatedAt ?? new Date().toISOString();
+      if (progress[result.sellerId]?.status === 'ok') csvStale = true;
+      // Row first: a crash in between leaves a duplicate row (see reconcile), never an ok without one
+      if (status === 'ok') appendCsvRow(csv, projectRecord(result, columns), columns);
+      setStatus(result.sellerId, status === 'error' ? { status, error: result.error, updatedAt } : { status, updatedAt });
+      putsSinceCompact++;
+    },
+    checkpoint() {
+      if (putsSinceCompact >= COMPACT_EVERY) compact();
+    },
+    /**
+     * Rewrite sellers.csv to match the statuses: one row per ok seller (the
+     * latest), no rows for IDs now empty or errored. A row for an ID the
+     * journal never recorded (crash between the row and its status) is kept
+     * and the ID marked ok; an ok ID without a row is unmarked so the next
+     * scan fetches it again.
+     */
+    reconcile() {
+      const rows = parseCsvRecords(readFileSync(csv, 'utf-8'));
+      const latest = new Map();
+      const counts = { rows: rows.length, kept: 0, duplicates: 0, dropped: 0, adopted: 0, missing: 0 };
+      for (const row of rows) {
+        const sellerId = Number(row.sellerId);
+        if (!Number.isFinite(sellerId)) {
+          counts.dropped++;
+          continue;
+        }
+        const status = progress[sellerId]?.status;
+        if (status && status !== 'ok') {
+          counts.dropped++;
+          continue;
+        }
+        if (latest.has(sellerId)) counts.duplicates++;
+        latest.set(sellerId, row);
+      }
+      for (const sellerId of latest.keys()) {
+        if (!progress[sellerId]) {
+          setStatus(sellerId, { status: 'ok' });
+          counts.adopted++;
+        }
+      }
+      for (const id of Object.keys(progress).map(Number)) {
+        if (progress[id].status === 'ok' && !latest.has(id)) {
+          setStatus(id, { status: null });
+          counts.missing++;
+        }
+      }
+
+      writeCsv(csv, [...latest.values()].sort((a, b) => a.sellerId - b.sellerId), columns);
+      compact();
+      csvStale = false;
+      counts.kept = latest.size;
+      return counts;
+    },
+    close() {
+      if (readOnly) return;
+      compact();
+      if (csvStale) compactCsv();
+      journal.close();
+    },
+  };
+}
+
+/**
+ * Make sure sellers.csv can take rows with `columns`: create it, or upgrade
+ * a file written with an older default column set.
+ */
+function prepareCsv(csv, columns) {
+  if (!columns.includes('sellerId')) {
+    throw new Error('--fields must include sellerId with the files store (sellers.csv is deduplicated by it)');
+  }
+  const header = readCsvHeader(csv);
+  if (header && header.join(',') !== columns.join(',')) {
+    // Only headers we shipped; any other subset would leave the missing columns blank for good
+    if (columns !== CSV_COLUMNS || !isEarlierDefaultHeader(header)) {
+      throw new Error(`${csv} has columns ${header.join(',')} — pick a new file with --out, or rebuild it with "reprocess --fields"`);
+    }
+    upgradeCsv(csv);
+  }
+  initCsv(csv, columns);
+}
+
+/**
+ * Rewrite a sellers.csv written with an older column set, filling columns
+ * derived from the record (tax-ID classification, address components) for
+ * the existing rows.
+ */
+function upgradeCsv(csv) {
+  const rows = parseCsvRecords(readFileSync(csv, 'utf-8'));
+  writeCsv(csv, rows.map(withDerivedColumns));
+}
+
+function withDerivedColumns(record) {
+  if (CSV_COLUMNS.every((c) => c in record)) return record;
+  return { ...taxIdColumns(record), ...addressColumns(record), ...record };
+}
+
+// --- SQLite ---
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sellers (
+    seller_id     INTEGER PRIMARY KEY,
+    status        TEXT NOT NULL,
+    error         TEXT,
+    record        TEXT,
+    raw           TEXT,
+    source        TEXT,
+    first_seen_at TEXT,
+    updated_at    TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sellers_status ON sellers (status);
+`;
+
+async function loadSqlite() {
+  try {
+    return await import('node:sqlite');
+  } catch {
+    const [major, minor] = process.versions.node.split('.').map(Number);
+    if (major === 22 && minor >= 5 && minor < 13) {
+      throw new Error(`--store sqlite on Node ${process.version} needs the --experimental-sqlite flag: node --experimental-sqlite scrape.mjs …`);
+    }
+    throw new Error(`--store sqlite needs Node 22.13+ (or 22.5+ with --experimental-sqlite) for node:sqlite (running ${process.version})`);
+  }
+}
+
+/** Files-store results next to a sellers.db: a sellers.csv with rows, progress.json, a non-empty journal. */
+function legacyFiles({ csv, progress, journal }) {
+  const found = [];
+  if (csv && existsSync(csv) && parseCsvRecords(readFileSync(csv, 'utf-8')).length) found.push(csv);
+  if (progress && existsSync(progress)) found.push(progress);
+  if (journal && existsSync(journal) && readFileSync(journal, 'utf-8').trim()) found.push(journal);
+  return found;
+}
+
+export async function openSqliteStore(paths, { columns = CSV_COLUMNS, readOnly = false, importing = false } = {}) {
+  const { db: dbPath, csv } = paths;
+  const { DatabaseSync } = await loadSqlite();
+  const existed = existsSync(dbPath);
+  const db = new DatabaseSync(dbPath);
+  db.exec('PRAGMA journal_mode = WAL;');
+  db.exec(SCHEMA);
+
+  // A first sqlite run would export its few rows over the files store's sellers.csv
+  if (!readOnly && !importing && !db.prepare('SELECT 1 FROM sellers LIMIT 1').get()) {
+    const legacy = legacyFiles(paths);
+    if (legacy.length) {
+      db.close();
+      // Don't leave an empty sellers.db behind: export would pick it over sellers.csv
+      if (!existed) for (const suffix of ['', '-wal', '-shm']) rmSync(`${dbPath}${suffix}`, { force: true });
+      throw new Error(`${dbPath} is empty but ${legacy.join(', ')} hold files-store results — run "node scrape.mjs import" first so they aren't lost`);
+    }
+  }
+
+  const getStmt = db.prepare('SELECT status, error, updated_at AS updatedAt FROM sellers WHERE seller_id = ?');
+  const idsStmt = db.prepare('SELECT seller_id AS id FROM sellers');
+  const upsertStmt = db.prepare(`
+    INSERT INTO sellers (seller_id, status, error, record, raw, source, first_seen_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (seller_id) DO UPDATE SET
+      status = excluded.status,
+      error = excluded.error,
+      record = COALESCE(excluded.record, sellers.record),
+      raw = COALESCE(excluded.raw, sellers.raw),
+      source = COALESCE(excluded.source, sellers.source),
+      first_seen_at = COALESCE(sellers.first_seen_at, excluded.first_seen_at),
+      updated_at = excluded.updated_at
+  `);
+  const okRecordsStmt = db.prepare("SELECT record, raw FROM sellers WHERE status = 'ok' ORDER BY seller_id");
+
+  let inTransaction = false;
+  const begin = () => {
+    if (!inTransaction) {
+      db.exec('BEGIN');
+      inTransaction = true;
+    }
+  };
+  const commit = () => {
+    if (inTransaction) {
+      db.exec('COMMIT');
+      inTransaction = false;
+    }
+  };
+
+  const upsert = (sellerId, status, { error = null, record = null, raw = null, source = null, at }) => {
+    upsertStmt.run(
+      sellerId,
+      status,
+      error,
+      record ? JSON.stringify(record) : null,
+      raw == null ? null : (typeof raw === 'string' ? raw : JSON.stringify(raw)),
+      source,
+      status === 'ok' ? at : null,
+      at,
+    );
+  };
+
+  const store = {
+    kind: 'sqlite',
+    output: dbPath,
+    db,
+    get: (id) => getStmt.get(id),
+    ids: () => idsStmt.all().map((r) => r.id),
+    put(result) {
+      begin();
+      const status = resultStatus(result);
+      const record = status === 'ok'
+        ? Object.fromEntries(CSV_COLUMNS.map((c) => [c, result[c] ?? '']))
+        : null;
+      upsert(result.sellerId, status, {
+        error: result.error ?? null,
+        record,
+        raw: result.raw,
+        source: result.source ?? null,
+        at: result.updatedAt ?? new Date().toISOString(),
+      });
+    },
+    checkpoint: commit,
+    /** All ok records, ordered by seller ID. */
+    records: () => okRecordsStmt.all().map((r) => withDerivedColumns(JSON.parse(r.record))),
+    /** All ok records projected onto `exportColumns`, ordered by seller ID. */
+    rows(exportColumns = columns) {
+      return okRecordsStmt.all().map((r) => {
+        const record = { ...withDerivedColumns(JSON.parse(r.record)), raw: r.raw };
+        return projectRecord(record, exportColumns);
+      });
+    },
+    /**
+     * Write sellers.csv from the database (deduplicated by construction).
+     * Refuses when the file has sellers the database has never seen: that
+     * CSV wasn't exported from here and hasn't been imported.
+     */
+    exportCsv(path = csv) {
+      const unknown = existsSync(path)
+        ? parseCsvRecords(readFileSync(path, 'utf-8')).filter((row) => !getStmt.get(Number(row.sellerId)))
+        : [];
+      if (unknown.length) {
+        throw new Error(`Not overwriting ${path}: ${unknown.length} of its sellers (e.g. ID ${unknown[0].sellerId}) aren't in ${dbPath} — run "node scrape.mjs import" first`);
+      }
+      writeCsv(path, store.rows(), columns);
+      return path;
+    },
+    /**
+     * One-time import of progress.json + sellers.csv. CSV rows become ok
+     * records (the last duplicate row wins); other progress entries keep
+     * their status; IDs marked ok without a CSV row are skipped so they get
+     * re-fetched. Runs in a single transaction.
+     */
+    importLegacy(paths) {
+      const at = new Date().toISOString();
+      const csvPath = paths.csv;
+      const { progress } = loadProgress(paths);
+      const rows = existsSync(csvPath) ? parseCsvRecords(readFileSync(csvPath, 'utf-8')) : [];
+      const okIds = new Set();
+
+      begin();
+      try {
+        for (const row of rows) {
+          const sellerId = Number(row.sellerId);
+          if (!Number.isFinite(sellerId)) continue;
+          upsert(sellerId, 'ok', { record: { ...row, sellerId }, source: 'import', at });
+          okIds.add(sellerId);
+        }
+        let statuses = 0;
+        let missing = 0;
+        for (const [id, entry] of Object.entries(progress)) {
+          if (okIds.has(Number(id))) continue;
+          // 'ok' in progress but no CSV row: leave it out so the next scan re-fetches it
+          if (entry.status === 'ok') {
+            missing++;
+            continue;
+          }
+          upsert(Number(id), entry.status, { error: entry.error ?? null, source: 'import', at });
+          statuses++;
+        }
+        commit();
+        return { sellers: okIds.size, statuses, missing, csvRows: rows.length };
+      } catch (err) {
+        db.exec('ROLLBACK');
+        inTransaction = false;
+        throw err;
+      }
+    },
+    close() {
+      commit();
+      db.close();
+    },
+  };
+
+  return store;
+}
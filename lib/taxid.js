@@ -0,0 +1,273 @@
+/**
+ * Tax identifier classification and validation.
+ *
+ * The API's `taxIdentificationNumber` (and the page's "VAT number") holds a
+ * mix of real VAT numbers (`GB304302658`), VAT numbers without their country
+ * prefix (`918266505`), UK company registration numbers (`4502168`,
+ * `SC432199`) and free text (`N/A`). classifyTaxId normalises the value and
+ * tells them apart:
+ *
+ *   { type: 'vat' | 'company' | 'unknown', normalized, valid, country }
+ *
+ * - vat:     normalized with its country prefix (`GB918266505`); `valid` is
+ *            the checksum result for GB (mod-97 / 9755) and the major EU
+ *            schemes (DE, FR, IT, ES, NL, BE, IE, PL, AT), or null for
+ *            countries without a checksum check here
+ * - company: UK Companies House number, zero-padded to 8 characters;
+ *            `valid` means well-formed (the numbers carry no check digit)
+ * - unknown: anything else; `valid` is null
+ *
+ * Bare values are only prefixed when the seller's country is known
+ * (`country` option, any spelling accepted by lib/countries.js).
+ */
+
+import { toIso2 } from './countries.js';
+
+// VAT body patterns (after the country prefix) and their checksum validators
+const VAT_SCHEMES = {
+  GB: { pattern: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/, check: checkGb },
+  DE: { pattern: /^\d{9}$/, check: checkDe },
+  FR: { pattern: /^[0-9A-HJ-NP-Z]{2}\d{9}$/, check: checkFr },
+  IT: { pattern: /^\d{11}$/, check: checkIt },
+  ES: { pattern: /^[0-9A-Z]\d{7}[0-9A-Z]$/, check: checkEs },
+  NL: { pattern: /^\d{9}B\d{2}$/, check: checkNl },
+  BE: { pattern: /^[01]?\d{9}$/, check: checkBe },
+  IE: { pattern: /^(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/, check: checkIe },
+  PL: { pattern: /^\d{10}$/, check: checkPl },
+  AT: { pattern: /^U\d{8}$/, check: checkAt },
+  PT: { pattern: /^\d{9}$/ },
+  LU: { pattern: /^\d{8}$/ },
+  DK: { pattern: /^\d{8}$/ },
+  SE: { pattern: /^\d{12}$/ },
+  FI: { pattern: /^\d{8}$/ },
+  CZ: { pattern: /^\d{8,10}$/ },
+  EL: { pattern: /^\d{9}$/ },
+  CH: { pattern: /^E?\d{9}(MWST|TVA|IVA)?$/ },
+};
+
+// Country code used as VAT prefix when it differs from ISO alpha-2
+const VAT_PREFIX = { GR: 'EL' };
+
+// Companies House prefixes (Scotland, Northern Ireland, LLPs, ...)
+const UK_COMPANY = /^(\d{8}|(SC|NI|OC|SO|NC|NL|R0|FC|SF|SL|SE|IP|SP|RS|LP)\d{6})$/;
+
+const PLACEHOLDERS = new Set(['', 'NA', 'NONE', 'NIL', 'TBC', 'NOINFORMATIONYET', 'NOTAPPLICABLE', 'NOTVATREGISTERED']);
+
+export function classifyTaxId(value, { country } = {}) {
+  const raw = String(value ?? '').trim();
+  const compact = raw.toUpperCase().replace(/[\s.\-/_]/g, '');
+  const unknown = { type: 'unknown', normalized: compact, valid: null, country: '' };
+
+  if (PLACEHOLDERS.has(compact) || !/\d/.test(compact)) {
+    return { ...unknown, normalized: '' };
+  }
+
+  // Prefixed VAT number: GB123456789, DE123456789, ATU12345678, CHE115421807
+  const prefixed = compact.match(/^([A-Z]{2})(.+)$/);
+  if (prefixed) {
+    const prefix = VAT_PREFIX[prefixed[1]] ?? prefixed[1];
+    let body = prefixed[2];
+    if (prefix === 'CH' && body.startsWith('E')) body = body.slice(1);
+    const scheme = VAT_SCHEMES[prefix];
+    if (scheme?.pattern.test(body)) return vatResult(prefix, body);
+  }
+
+  if (UK_COMPANY.test(compact) && !/^\d{8}$/.test(compact)) {
+    return { type: 'company', normalized: compact, valid: true, country: 'GB' };
+  }
+
+  // Bare values: interpret them in the seller's country
+  const iso2 = toIso2(country);
+  if (iso2) {
+    const prefix = VAT_PREFIX[iso2] ?? iso2;
+
+    if (iso2 === 'GB' && /^\d+$/.test(compact)) {
+      if (/^\d{9}$/.test(compact) || /^\d{12}$/.test(compact)) return vatResult('GB', compact);
+      if (compact.length <= 8 && compact.length >= 6) {
+        return { type: 'company', normalized: compact.padStart(8, '0'), valid: true, country: 'GB' };
+      }
+      return unknown;
+    }
+
+    const scheme = VAT_SCHEMES[prefix];
+    if (scheme?.pattern.test(compact)) return vatResult(prefix, compact);
+  }
+
+  return unknown;
+}
+
+/**
+ * Export columns for a seller record: { taxIdType, taxIdNormalized, taxIdValid }.
+ * The country hint is the last part of the registered address, falling back
+ * to the shipping country.
+ */
+export function taxIdColumns({ vatNumber, registeredAddress, shippedFrom }) {
+  const addressCountry = String(registeredAddress ?? '').split(',').pop().trim();
+  const country = toIso2(addressCountry) || toIso2(shippedFrom);
+  const { type, normalized, valid } = classifyTaxId(vatNumber, { country });
+  return { taxIdType: vatNumber ? type : '', taxIdNormalized: normalized, taxIdValid: valid ?? '' };
+}
+
+/**
+ * Filler numbers sellers type when they have none: one repeated digit
+ * (GB000000000 even passes the checksum) or a counting run (123456789).
+ * Takes a normalised tax ID.
+ */
+export function isDummyTaxId(normalized) {
+  const digits = String(normalized ?? '').replace(/^[A-Z]+/, '');
+  if (!/^\d{6,}$/.test(digits)) return false;
+  return /^(\d)\1+$/.test(digits) || '01234567890123'.includes(digits) || '98765432109876'.includes(digits);
+}
+
+/**
+ * Structural check used by the HTML parser to accept a "VAT number" value:
+ * anything classifiable, or a run of 8+ digits with an optional country
+ * prefix (UTRs and foreign registrations we can't classify yet).
+ */
+export function looksLikeTaxId(value) {
+  const v = String(value ?? '').trim();
+  if (classifyTaxId(v, { country: 'GB' }).type !== 'unknown') return true;
+  return /^(?:[A-Z]{2}\s*)?[A-Z0-9 -]{8,20}$/i.test(v) && /\d{8,}/.test(v);
+}
+
+function vatResult(prefix, body) {
+  let normalized = body;
+  if (prefix === 'BE' && body.length === 9) normalized = `0${body}`;
+  const scheme = VAT_SCHEMES[prefix];
+  return {
+    type: 'vat',
+    normalized: `${prefix}${normalized}`,
+    valid: scheme.check ? scheme.check(normalized) : null,
+    country: prefix === 'EL' ? 'GR' : prefix,
+  };
+}
+
+// --- Checksums ---
+
+const digits = (s) => [...s].map(Number);
+
+/** GB: weights 8..2 plus the check pair must be divisible by 97 (or by 97 after +55, the 9755 scheme). */
+function checkGb(body) {
+  if (!/^\d/.test(body)) return true; // GD/HA government and health authority numbers
+  const d = digits(body.slice(0, 9));
+  const sum = [8, 7, 6, 5, 4, 3, 2].reduce((acc, w, i) => acc + w * d[i], 0) + Number(body.slice(7, 9));
+  return sum % 97 === 0 || (sum + 55) % 97 === 0;
+}
+
+/** DE: ISO 7064 MOD 11,10. */
+function checkDe(body) {
+  const d = digits(body);
+  let product = 10;
+  for (let i = 0; i < 8; i++) {
+    let sum = (d[i] + product) % 10;
+    if (sum === 0) sum = 10;
+    product = (2 * sum) % 11;
+  }
+  const check = 11 - product === 10 ? 0 : 11 - product;
+  return check === d[8];
+}
+
+/** FR: numeric key = (12 + 3 × (SIREN mod 97)) mod 97; alphanumeric keys are format-checked only. */
+function checkFr(body) {
+  const key = body.slice(0, 2);
+  const siren = Number(body.slice(2));
+  if (!/^\d{2}$/.test(key)) return true;
+  return Number(key) === (12 + 3 * (siren % 97)) % 97;
+}
+
+/** IT: Luhn over the 11 digits. */
+function checkIt(body) {
+  return luhn(body);
+}
+
+/** ES: DNI/NIE check letter, or CIF control digit/letter. */
+function checkEs(body) {
+  const letters = 'TRWAGMYFPDXBNJZSQVHLCKE';
+  if (/^\d{8}[A-Z]$/.test(body)) {
+    return letters[Number(body.slice(0, 8)) % 23] === body[8];
+  }
+  if (/^[XYZ]\d{7}[A-Z]$/.test(body)) {
+    const n = Number('XYZ'.indexOf(body[0]) + body.slice(1, 8));
+    return letters[n % 23] === body[8];
+  }
+  if (/^[A-HJNP-SUVW]\d{7}[0-9A-J]$/.test(body)) {
+    const d = digits(body.slice(1, 8));
+    let sum = 0;
+    for (let i = 0; i < 7; i++) {
+      if (i % 2 === 0) {
+        const x = d[i] * 2;
+        sum += Math.floor(x / 10) + (x % 10);
+      } else {
+        sum += d[i];
+      }
+    }
+    const control = (10 - (sum % 10)) % 10;
+    return body[8] === String(control) || body[8] === 'JABCDEFGHI'[control];
+  }
+  return false;
+}
+
+/** NL: classic mod-11 on the first 9 digits, or the 2020 mod-97 scheme for sole traders. */
+function checkNl(body) {
+  const d = digits(body.slice(0, 9));
+  const sum = [9, 8, 7, 6, 5, 4, 3, 2].reduce((acc, w, i) => acc + w * d[i], 0) - d[8];
+  if (sum % 11 === 0) return true;
+
+  const numeric = `NL${body}`.replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  return mod97(numeric) === 1;
+}
+
+/** BE: 97 − (first 8 digits mod 97) equals the last two digits. */
+function checkBe(body) {
+  return 97 - (Number(body.slice(0, 8)) % 97) === Number(body.slice(8, 10));
+}
+
+/** IE: weights 8..2 (+ 9 × second letter) mod 23 gives the check letter. */
+function checkIe(body) {
+  const letters = 'WABCDEFGHIJKLMNOPQRSTUV';
+  let b = body;
+  // Old style "1A23456B": move the letter out of the way
+  if (/^\d[A-Z+*]\d{5}[A-W]$/.test(b)) b = `0${b.slice(2, 7)}${b[0]}${b[7]}`;
+  const d = digits(b.slice(0, 7));
+  let sum = [8, 7, 6, 5, 4, 3, 2].reduce((acc, w, i) => acc + w * d[i], 0);
+  if (b[8]) sum += 9 * (b[8] === 'W' ? 0 : b.charCodeAt(8) - 64);
+  return letters[sum % 23] === b[7];
+}
+
+/** PL: weights 6,5,7,2,3,4,5,6,7 mod 11 equals the 10th digit. */
+function checkPl(body) {
+  const d = digits(body);
+  const sum = [6, 5, 7, 2, 3, 4, 5, 6, 7].reduce((acc, w, i) => acc + w * d[i], 0) % 11;
+  return sum !== 10 && sum === d[9];
+}
+
+/** AT: ATU + 8 digits, Luhn-style with a +4 offset. */
+function checkAt(body) {
+  const d = digits(body.slice(1));
+  let sum = 0;
+  for (let i = 0; i < 7; i++) {
+    const x = i % 2 === 1 ? d[i] * 2 : d[i];
+    sum += Math.floor(x / 10) + (x % 10);
+  }
+  return (10 - ((sum + 4) % 10)) % 10 === d[7];
+}
+
+function luhn(s) {
+  const d = digits(s);
+  let sum = 0;
+  for (let i = 0; i < d.length; i++) {
+    let x = d[d.length - 1 - i];
+    if (i % 2 === 1) {
+      x *= 2;
+      if (x > 9) x -= 9;
+    }
+    sum += x;
+  }
+  return sum % 10 === 0;
+}
+
+function mod97(numeric) {
+  let r = 0;
+  for (const ch of numeric) r = (r * 10 + Number(ch)) % 97;
+  return r;
+}
@@ -0,0 +1,138 @@
+/**
+ * Cross-validation of the two seller sources.
+ *
+ * For each seller ID the API record (parseSellerApiResponse) is compared with
+ * what shoppers see on the storefront page (parseSellerPage). Differences
+ * point either at the API's corporateContactInformation / TBC fallback
+ * disagreeing with the page, or at the HTML parser drifting.
+ *
+ * Values are compared after normalisation (case, whitespace and punctuation),
+ * so "Unit 2, Hammond Ave" and "UNIT 2 HAMMOND AVE" count as a match.
+ * Countries — shippedFrom and the last part of registeredAddress — compare
+ * by ISO code, since the API says "GBR" where the page says "United Kingdom".
+ */
+
+import { scrapeSellerApi, scrapeSellerHtml } from './sources.js';
+import { toIso2 } from './countries.js';
+
+export const VERIFY_FIELDS = ['businessName', 'vatNumber', 'registeredAddress', 'shippedFrom'];
+
+/** `opts` are the request options of lib/sources.js (limiter, timeoutMs, signal, fetch). */
+export async function verifySeller(sellerId, market, opts = {}) {
+  const [api, html] = await Promise.all([
+    scrapeSellerApi(sellerId, market, opts),
+    scrapeSellerHtml(sellerId, market, opts),
+  ]);
+
+  if (api.aborted || html.aborted) return { sellerId, aborted: true };
+
+  if (api.error || html.error) {
+    return {
+      sellerId,
+      error: [api.error && `API: ${api.error}`, html.error && `HTML: ${html.error}`].filter(Boolean).join('; '),
+    };
+  }
+
+  return {
+    sellerId,
+    addressSource: api.addressSource || '',
+    fields: compareRecords(api, html),
+  };
+}
+
+/**
+ * Field-by-field comparison. Each field gets one of:
+ *   match | mismatch | api-only | html-only | both-empty
+ */
+export function compareRecords(api, html) {
+  const fields = {};
+  for (const field of VERIFY_FIELDS) {
+    const a = (api[field] || '').trim();
+    const h = (html[field] || '').trim();
+    let status;
+    if (!a && !h) status = 'both-empty';
+    else if (!h) status = 'api-only';
+    else if (!a) status = 'html-only';
+    else status = compareKey(field, a) === compareKey(field, h) ? 'match' : 'mismatch';
+    fields[field] = { status, api: a, html: h };
+  }
+  return fields;
+}
+
+export function isFieldMismatch(status) {
+  return status === 'mismatch' || status === 'api-only' || status === 'html-only';
+}
+
+export function summarizeVerify(reports) {
+  const mismatches = Object.fromEntries(VERIFY_FIELDS.map((f) => [f, 0]));
+  let compared = 0;
+  let errors = 0;
+  let clean = 0;
+
+  for (const report of reports) {
+    if (report.error) {
+      errors++;
+      continue;
+    }
+    compared++;
+    let anyMismatch = false;
+    for (const field of VERIFY_FIELDS) {
+      if (isFieldMismatch(report.fields[field].status)) {
+        mismatches[field]++;
+        anyMismatch = true;
+      }
+    }
+    if (!anyMismatch) clean++;
+  }
+
+  return { total: reports.length, compared, errors, clean, mismatches };
+}
+
+/** Human-readable report: totals, per-field mismatch counts, then each differing seller. */
+export function formatVerifyReport(summary, reports) {
+  const out = [];
+  out.push(`Sellers checked: ${summary.total} (compared ${summary.compared}, errors ${summary.errors})`);
+  out.push(`Fully matching: ${summary.clean}`);
+  out.push('');
+  out.push('Mismatches per field:');
+  for (const field of VERIFY_FIELDS) {
+    out.push(`  ${field.padEnd(18)} ${summary.mismatches[field]}`);
+  }
+
+  for (const report of reports) {
+    if (report.error) {
+      out.push('', `ID ${report.sellerId}: ERROR ${report.error}`);
+      continue;
+    }
+    const diffs = VERIFY_FIELDS.filter((f) => isFieldMismatch(report.fields[f].status));
+    if (diffs.length === 0) continue;
+
+    const note = report.addressSource === 'contact' ? ' (API address from contactInformation, corporate was TBC)' : '';
+    out.push('', `ID ${report.sellerId}${note}:`);
+    for (const field of diffs) {
+      const { status, api, html } = report.fields[field];
+      out.push(`  ${field} [${status}]`);
+      out.push(`    api:  ${api || '(empty)'}`);
+      out.push(`    html: ${html || '(empty)'}`);
+    }
+  }
+
+  return out.join('\n') + '\n';
+}
+
+function compareKey(field, value) {
+  if (field === 'shippedFrom') return toIso2(value) || normalizeForCompare(value);
+  if (field === 'registeredAddress') {
+    const parts = value.split(',');
+    const iso2 = parts.length > 1 ? toIso2(parts.at(-1).trim()) : '';
+    if (iso2) return `${normalizeForCompare(parts.slice(0, -1).join(','))} ${iso2.toLowerCase()}`;
+  }
+  return normalizeForCompare(value);
+}
+
+function normalizeForCompare(value) {
+  return value
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
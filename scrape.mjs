@@ -1,309 +1,1175 @@
 #!/usr/bin/env node
 
 /**
- * B&Q (diy.com) verified seller scraper — API-based.
+ * Kingfisher marketplace (B&Q diy.com and other banners) verified seller scraper.
  *
  * Calls the Kingfisher marketplace seller API directly (no browser needed).
+ * With --source html|auto it can also fetch the public verified-seller page
+ * and run it through lib/parse.js (see lib/sources.js).
  *
  * Usage:
- *   node scrape.mjs                                   # IDs 1–25000, 5 concurrent
+ *   node scrape.mjs                                   # B&Q, up to the discovered frontier (else the market range)
+ *   node scrape.mjs --market bq                       # pick a Kingfisher banner (see lib/markets.js)
+ *   node scrape.mjs --market cafr                     # … one added in markets.json (format in lib/markets.js)
+ *   node scrape.mjs --markets-file banners.json --market cafr   # markets from another file
  *   node scrape.mjs --from 3900 --to 4100             # custom range
- *   node scrape.mjs --concurrency 10 --delay 300      # faster
- *   node scrape.mjs --from 1 --to 25000 --delay 500   # full run, conservative
+ *   node scrape.mjs --ids 1,5,9-20 --retry all        # an explicit list of IDs and ranges instead
+ *   node scrape.mjs --ids-file ids.txt                # IDs from a file (one per line, commas or ranges; a header line is skipped)
+ *   cut -d, -f1 sheet.csv | node scrape.mjs rescan --ids-file -   # … or from stdin
+ *   node scrape.mjs --from 1 --to 35000 --shard 2/4   # this machine's quarter of a sweep (IDs with id % 4 = 1)
+ *   node scrape.mjs --shard 2/4 --results-dir shard2  # keep a shard's output apart (default: results)
+ *   node scrape.mjs merge shard1/bq shard2/bq … [--out dir] [--force]
+ *                                                     # combine shard outputs into results/<market>/, deduplicated, with a conflict report
+ *   node scrape.mjs --concurrency 10 --rps 8          # faster
+ *   node scrape.mjs --rps 5 --max-rps 15              # start at 5 req/s, ramp up to 15 while healthy
+ *   node scrape.mjs --from 1 --to 35000 --rps 2       # full run, conservative
+ *   node scrape.mjs discover                          # find the highest assigned seller ID (frontier.json)
+ *   node scrape.mjs --frontier                        # only scan upward from the last frontier for new sellers
+ *   node scrape.mjs --timeout 15000                   # per-request timeout in ms (default 30000)
+ *   node scrape.mjs --dashboard                       # live figures (throughput, ETA, errors, 429s, concurrency) instead of a line per ID;
+ *                                                     # without a terminal, a summary line every 30s
+ *   node scrape.mjs --log-format json > run.ndjson    # one JSON event per ID and per retry on stdout (messages go to stderr)
+ *   node scrape.mjs --metrics-port 9464               # Prometheus metrics on 127.0.0.1:9464/metrics, health check on /healthz
+ *   node scrape.mjs --metrics-port 9464 --metrics-host 0.0.0.0   # …reachable from other machines (e.g. in a container)
+ *   node scrape.mjs --source html                     # parse the public seller pages instead
+ *   node scrape.mjs --source auto                     # API, falling back to the page on errors
+ *   node scrape.mjs --retry errors                    # re-fetch IDs recorded as errors (also: empty, all)
+ *   node scrape.mjs --retry all --older-than 30d      # refresh anything last checked over 30 days ago
+ *   node scrape.mjs --store sqlite                    # keep results in results/<market>/sellers.db (Node 22.13+, or 22.5+ with --experimental-sqlite)
+ *   node scrape.mjs reconcile                         # rebuild sellers.csv from the progress journal (drops duplicate rows after a crash)
+ *   node scrape.mjs import                            # one-time: load progress.json + sellers.csv into sellers.db
+ *   node scrape.mjs export [--out file.csv]           # write sellers-export.csv from sellers.db (or the CSV store)
+ *   node scrape.mjs export --format xlsx              # also: csv, tsv, jsonl, json, sql
+ *   node scrape.mjs export --format jsonl --out -     # write to stdout
+ *   node scrape.mjs export --bom                      # CSV/TSV with a UTF-8 BOM for Excel
+ *   node scrape.mjs --archive                         # also append every raw API response to raw.ndjson
+ *   node scrape.mjs --fields sellerId,businessName,sellerName,contactInformation.email
+ *                                                     # choose CSV columns (record columns or paths into API attributes)
+ *   node scrape.mjs reprocess --fields … [--out f.csv] # rebuild a CSV offline from raw.ndjson
+ *   node scrape.mjs query --where 'shippedFromIso2!=GB' --sort shippedFrom,businessName
+ *                                                     # filter collected sellers (JSON Lines to stdout; --format/--out like export)
+ *   node scrape.mjs query --where '!vatNumber' --format csv --out no-vat.csv
+ *   node scrape.mjs query --where businessName~ltd --where addressCity=stockport --limit 20
+ *                                                     # --where: col=v, col!=v, col~text, col!~text, col~/regex/i, col (has a value), !col (missing)
+ *   node scrape.mjs stats [--format json]             # counts by shipping / address country, VAT coverage, TBC address fallbacks
+ *   node scrape.mjs entities [--threshold 0.9]        # group seller IDs into companies (same tax ID, or similar name at one postcode)
+ *                                                     # → entities.csv: sellerId → clusterId with the reason (--format/--out like export)
+ *   node scrape.mjs rescan                            # re-fetch everything, snapshot + change report
+ *   node scrape.mjs verify --ids 2000,3958            # diff API records against the seller pages
+ *   node scrape.mjs parse saved/ [--format csv]       # parse saved pages (file, directory or glob like 'saved/*.html'), JSON Lines to stdout
+ *   node scrape.mjs parse saved/ --detailed           # add per-field provenance (strategy, candidates, confidence)
+ *   node scrape.mjs parse saved/ --needs-review       # only records whose parse confidence is low (also for export)
+ *   node scrape.mjs check-parse [--update]            # parser regression check against fixtures/pages/*.expected.json
+ *   node scrape.mjs --from 2000 --to 2100 --record cassettes/run1   # save every HTTP response to disk
+ *   node scrape.mjs --from 2000 --to 2100 --replay cassettes/run1   # re-run from disk, no network
+ *   node scrape.mjs --replay cassettes/run1 --faults 429=0.1,5xx=0.1,timeout=0.05 [--fault-seed 7]
+ *                                                     # replay with injected failures to exercise retries
  *
- * Output:
- *   results/sellers.csv      — one row per found seller
- *   results/progress.json    — tracks completed IDs (safe to resume)
+ * Output (per market):
+ *   results/<market>/sellers.csv      — one row per found seller
+ *   results/<market>/progress.json    — tracks completed IDs (safe to resume)
+ *   results/<market>/progress.journal — per-result status log, folded into progress.json
+ *   results/<market>/snapshots/       — rescan snapshots and change reports
+ *   results/<market>/raw.ndjson       — raw API responses (with --archive)
+ *   results/<market>/merge-*.json     — merge summary and conflicts (merge)
+ *   results/<market>/entities.csv     — seller ID → company cluster (entities)
  *
  * The scraper is fully resumable: re-run the same command and it skips
- * already-processed IDs. Ctrl+C is safe — progress is saved on exit.
+ * already-processed IDs. Ctrl+C is safe — in-flight requests are aborted,
+ * every result already received is saved and the pending IDs are listed.
  */
 
-import { writeFileSync, readFileSync, existsSync, mkdirSync, appendFileSync } from 'node:fs';
+import { writeFileSync, mkdirSync, existsSync, readFileSync, renameSync, rmSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { dirPaths, getMarket, loadMarkets, marketPaths, migrateLegacyResults, sellerPageUrl } from './lib/markets.js';
+import { scrapeSeller, parseSellerApiResponse, SOURCES, DEFAULT_TIMEOUT_MS } from './lib/sources.js';
+import { openStore, openSqliteStore, resultStatus } from './lib/store.js';
+import {
+  snapshotDir,
+  openSnapshot,
+  snapshotEntry,
+  loadPreviousState,
+  diffSnapshots,
+  formatChangeReport,
+} from './lib/snapshots.js';
+import { createRateLimiter } from './lib/rate-limit.js';
+import { runPool } from './lib/pool.js';
+import { formatIdRanges, parseIdList, parseShard, shardIds } from './lib/ids.js';
+import { mergeShards, formatMergeReport } from './lib/merge.js';
+import { createReporter, LOG_FORMATS } from './lib/reporter.js';
+import { createScrapeMetrics, serveMetrics } from './lib/metrics.js';
+import { parseFilter, parseSort, queryColumns, queryRecords } from './lib/query.js';
+import { sellerStats, formatStats, STATS_COLUMNS } from './lib/stats.js';
+import { resolveEntities, formatEntityReport, DEFAULT_THRESHOLD, ENTITY_COLUMNS, ENTITY_INPUT_COLUMNS } from './lib/entities.js';
+import { discoverFrontier, scanFrontierTail, loadFrontier, saveFrontier, DEFAULT_EMPTY_WINDOW } from './lib/frontier.js';
+import { verifySeller, summarizeVerify, formatVerifyReport, isFieldMismatch, VERIFY_FIELDS } from './lib/verify.js';
+import { openArchive, loadArchive } from './lib/archive.js';
+import { parseFields, projectRecord } from './lib/fields.js';
+import { recordingFetch, replayFetch, parseFaults } from './lib/cassettes.js';
+import { listPageFiles, parsePageFile, checkFixtures, formatCheckReport, FIXTURES_DIR } from './lib/pages.js';
+import { CSV_COLUMNS } from './lib/csv.js';
+import { getExporter, writeExport } from './lib/exporters.js';
 
 // --- Config ---
-const args = parseArgs(process.argv.slice(2));
-const FROM_ID = args.from ?? 1;
-const TO_ID = args.to ?? 35000;
-const DELAY_MS = args.delay ?? 500;
-const CONCURRENCY = args.concurrency ?? 5;
-
-const RESULTS_DIR = 'results';
-const CSV_PATH = `${RESULTS_DIR}/sellers.csv`;
-const PROGRESS_PATH = `${RESULTS_DIR}/progress.json`;
-const MAX_RETRIES = 3;
-
-const CSV_COLUMNS = [
-  'sellerId',
-  'businessName',
-  'vatNumber',
-  'registeredAddress',
-  'shippedFrom',
-  'sourceUrl',
-];
-
-// Kingfisher marketplace seller API key (publicly embedded in every diy.com page)
-const SELLER_API_KEY = 'eyJvcmciOiI2MGFlMTA0ZGVjM2M1ZjAwMDFkMjYxYTkiLCJpZCI6IjE0NmFhMTQ5ZGIxYjQ4OGI4OWJlMTNkNTI0MmVhMmZmIiwiaCI6Im11cm11cjEyOCJ9';
+// Set by configure() at the start of main(), so a bad option ends in the same
+// "Fatal error" as everything else
+let args;
+let MARKET, FROM_ID, TO_ID, CONCURRENCY, RPS, MAX_RPS, TIMEOUT_MS, SOURCE, LOG_FORMAT;
+let RESULTS_DIR, PATHS, MARKET_DIR, CSV_PATH, STORE, FIELDS;
+let ID_LIST, SHARD, ARCHIVE, KNOWN_FRONTIER, EMPTY_WINDOW;
+
+function configure(argv) {
+  args = parseArgs(argv);
+  MARKET = getMarket(args.market, args.marketsFile != null ? loadMarkets(args.marketsFile, { required: true }) : loadMarkets());
+  FROM_ID = args.from ?? MARKET.defaultRange.from;
+  CONCURRENCY = args.concurrency ?? 5;
+  RPS = args.rps ?? 5;
+  MAX_RPS = args.maxRps ?? RPS;
+  TIMEOUT_MS = args.timeout ?? DEFAULT_TIMEOUT_MS;
+  SOURCE = args.source ?? 'api';
+  LOG_FORMAT = args.logFormat ?? 'text';
+
+  RESULTS_DIR = args.resultsDir ?? 'results';
+  PATHS = marketPaths(MARKET, RESULTS_DIR);
+  ({ dir: MARKET_DIR, csv: CSV_PATH } = PATHS);
+  STORE = args.store ?? 'files';
+  FIELDS = args.fields != null ? parseFields(args.fields) : CSV_COLUMNS;
+
+  // --ids / --ids-file replace the --from/--to range; --shard k/n keeps one slice of the IDs
+  ID_LIST = loadIdList();
+  SHARD = args.shard != null ? parseShard(args.shard) : null;
+
+  // --archive: every raw API response is appended to raw.ndjson (see lib/archive.js)
+  ARCHIVE = args.archive ? openArchive(PATHS.archive) : null;
+
+  // Once `discover` has found the frontier, default scans stop one empty window past it
+  KNOWN_FRONTIER = loadFrontier(PATHS.frontier);
+  EMPTY_WINDOW = args.emptyWindow ?? KNOWN_FRONTIER?.emptyWindow ?? DEFAULT_EMPTY_WINDOW;
+  TO_ID = args.to ?? (KNOWN_FRONTIER ? KNOWN_FRONTIER.frontier + EMPTY_WINDOW : MARKET.defaultRange.to);
+}
 
 let shuttingDown = false;
+const runController = new AbortController();
+
+// Shared by every request of the run: AIMD token bucket (see lib/rate-limit.js)
+let limiter;
+// --record / --replay swap the fetch implementation (see lib/cassettes.js)
+let fetchImpl;
+// Progress output of the running scan / rescan / verify (see lib/reporter.js)
+let reporter = null;
+// --metrics-port: counters fed alongside the reporter (see lib/metrics.js)
+let metrics = null;
+
+// Commands that take paths after their name; the others take none
+const PATH_COMMANDS = ['parse', 'check-parse', 'merge'];
+
+const COMMANDS = {
+  scan: runScan,
+  rescan: runRescan,
+  discover: runDiscover,
+  import: runImport,
+  export: runExport,
+  reprocess: runReprocess,
+  query: runQuery,
+  stats: runStats,
+  entities: runEntities,
+  verify: runVerify,
+  parse: runParse,
+  'check-parse': runCheckParse,
+  merge: runMerge,
+  reconcile: runReconcile,
+};
 
 async function main() {
-  mkdirSync(RESULTS_DIR, { recursive: true });
+  configure(process.argv.slice(2));
+  const command = args.command ?? 'scan';
+  const run = COMMANDS[command];
+  if (!run) {
+    throw new Error(`Unknown command "${command}". Expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+  if (args.paths?.length && !PATH_COMMANDS.includes(command)) {
+    throw new Error(`Unexpected argument "${args.paths[0]}" — ${command} takes no paths`);
+  }
+  if (!SOURCES.includes(SOURCE)) {
+    throw new Error(`Unknown --source "${SOURCE}". Expected one of: ${SOURCES.join(', ')}`);
+  }
+  // parseInt/parseFloat give NaN for "abc": no workers would start and the run would still say "Done"
+  for (const [flag, value] of [['--concurrency', CONCURRENCY], ['--rps', RPS], ['--max-rps', MAX_RPS], ['--timeout', TIMEOUT_MS]]) {
+    if (!Number.isFinite(value) || value <= 0) throw new Error(`${flag} needs a positive number`);
+  }
+  // Seller IDs, window sizes and seeds are read whole (Number, not parseInt, so "12abc" is caught too)
+  for (const [flag, value] of [['--from', args.from], ['--to', args.to], ['--empty-window', args.emptyWindow], ['--fault-seed', args.faultSeed]]) {
+    if (value != null && !Number.isInteger(value)) throw new Error(`${flag} needs a whole number`);
+  }
+  if (args.emptyWindow != null && args.emptyWindow <= 0) throw new Error('--empty-window needs a positive number');
+  if (args.from != null && args.to != null && args.from > args.to) {
+    throw new Error(`--from ${args.from} is above --to ${args.to}`);
+  }
+
+  if (args.retry != null && !RETRY_MODES[args.retry]) {
+    throw new Error(`Unknown --retry "${args.retry}". Expected one of: ${Object.keys(RETRY_MODES).join(', ')}`);
+  }
+  if (args.olderThan != null && args.retry == null) {
+    throw new Error('--older-than needs --retry errors|empty|all');
+  }
+  if (ID_LIST && (args.from != null || args.to != null)) {
+    throw new Error('--ids/--ids-file replace --from/--to — use one or the other');
+  }
+  if ((ID_LIST || SHARD) && (command === 'discover' || args.frontier)) {
+    throw new Error('--ids, --ids-file and --shard don\'t apply to discover or --frontier, which probe upward on their own');
+  }
 
-  const progress = loadProgress();
-  initCsv();
+  if (!LOG_FORMATS.includes(LOG_FORMAT)) {
+    throw new Error(`Unknown --log-format "${LOG_FORMAT}". Expected one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  if (LOG_FORMAT === 'json' && args.dashboard) throw new Error('--dashboard and --log-format json can\'t be combined');
+  // With JSON logs stdout carries only the events; everything else goes to stderr
+  if (LOG_FORMAT === 'json') console.log = console.error;
 
-  // Graceful shutdown — save progress on Ctrl+C
-  const shutdown = () => {
-    if (shuttingDown) return;
-    shuttingDown = true;
-    console.log('\n\nShutting down gracefully — saving progress...');
-    saveProgress(progress);
-    console.log('Progress saved. Re-run the same command to resume.');
-    process.exit(0);
-  };
-  process.on('SIGINT', shutdown);
-  process.on('SIGTERM', shutdown);
+  if (args.record && args.replay) throw new Error('--record and --replay can\'t be combined');
+  if (args.faults != null && !args.replay) throw new Error('--faults needs --replay <dir>');
+  if (args.record) fetchImpl = recordingFetch(args.record);
+  if (args.replay) {
+    fetchImpl = replayFetch(args.replay, { faults: parseFaults(args.faults ?? ''), seed: args.faultSeed ?? 1 });
+  }
+
+  limiter = createRateLimiter({
+    rate: RPS,
+    maxRate: MAX_RPS,
+    onChange: ({ previous, rate, pauseMs }) => {
+      notice(`  Rate limited — ${previous.toFixed(2)} → ${rate.toFixed(2)} req/s, pausing ${Math.round(pauseMs / 1000)}s`, {
+        kind: 'rate-limited',
+        previousRate: previous,
+        rate,
+        pauseMs,
+      });
+    },
+  });
+
+  let metricsServer;
+  if (args.metricsPort != null) {
+    const port = Number(args.metricsPort);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      throw new Error(`Invalid --metrics-port "${args.metricsPort}" (expected a port number)`);
+    }
+    metrics = createScrapeMetrics({ limiter, labels: { market: MARKET.id } });
+    metricsServer = await serveMetrics(metrics, { port, host: args.metricsHost });
+    const { address, port: listening } = metricsServer.address();
+    const host = address.includes(':') ? `[${address}]` : address;
+    console.log(`Metrics on http://${host}:${listening}/metrics (health: /healthz)`);
+  } else if (args.metricsHost != null) {
+    throw new Error('--metrics-host needs --metrics-port <port>');
+  }
 
-  const total = TO_ID - FROM_ID + 1;
+  try {
+    await run();
+  } finally {
+    metricsServer?.close();
+  }
+}
+
+async function runScan() {
+  if (args.frontier) return runFrontierScan();
+
+  const store = await openScanStore();
+
+  // Graceful shutdown — Ctrl+C aborts in-flight requests, everything received is saved
+  handleShutdown();
+
+  const ids = targetIds();
+  const total = ids.length;
   let processedThisRun = 0;
   let found = 0;
   let errors = 0;
 
-  // Build list of IDs still to process
+  // Build list of IDs still to process: never fetched, plus --retry matches
+  const retryStatuses = RETRY_MODES[args.retry] ?? [];
+  const cutoff = args.olderThan != null ? Date.now() - args.olderThan : null;
+  const retried = new Map();
   const pendingIds = [];
-  for (let id = FROM_ID; id <= TO_ID; id++) {
-    if (!progress[id]) pendingIds.push(id);
+  for (const id of ids) {
+    const entry = store.get(id);
+    if (!entry) {
+      pendingIds.push(id);
+    } else if (retryStatuses.includes(entry.status) && isOlderThan(entry, cutoff)) {
+      pendingIds.push(id);
+      retried.set(id, entry.status);
+    }
   }
 
   const alreadyDone = total - pendingIds.length;
+  const recovery = { errorToOk: 0, errorToEmpty: 0, emptyToOk: 0, lost: 0, stillError: 0 };
 
-  console.log(`\nB&Q Verified Seller Scraper (API)`);
-  console.log(`Range: ${FROM_ID} – ${TO_ID} (${total} IDs)`);
-  console.log(`Concurrency: ${CONCURRENCY} | Delay: ${DELAY_MS}ms between batches`);
-  console.log(`Output: ${CSV_PATH}`);
+  console.log(`\nKingfisher Verified Seller Scraper (${SOURCE}) — ${MARKET.name} [${MARKET.tenant}]`);
+  console.log(describeTargets(ids));
+  console.log(`Concurrency: ${CONCURRENCY} | Rate: ${RPS} req/s (ceiling ${MAX_RPS} req/s)`);
+  console.log(`Output: ${store.output}`);
+  if (retried.size > 0) {
+    const age = cutoff != null ? ` last checked before ${new Date(cutoff).toISOString()}` : '';
+    console.log(`Retrying ${retried.size} IDs with status ${retryStatuses.join('/')}${age}`);
+  }
   if (alreadyDone > 0) {
     console.log(`Resuming — ${alreadyDone} already done, ${pendingIds.length} remaining`);
   }
   console.log('');
 
+  let leftPending = [];
+  startReporter(total, alreadyDone);
   try {
-    // Process in batches of CONCURRENCY
-    for (let i = 0; i < pendingIds.length; i += CONCURRENCY) {
-      if (shuttingDown) break;
-
-      const batch = pendingIds.slice(i, i + CONCURRENCY);
-      const results = await Promise.all(batch.map((id) => scrapeSeller(id)));
-
-      for (const result of results) {
-        if (shuttingDown) break;
-
-        processedThisRun++;
-        const done = processedThisRun + alreadyDone;
-
-        if (result.error) {
-          errors++;
-          progress[result.sellerId] = { status: 'error', error: result.error };
-          logLine(result.sellerId, `ERROR: ${result.error}`, total, done);
-        } else if (!result.businessName && !result.vatNumber && !result.registeredAddress && !result.shippedFrom) {
-          progress[result.sellerId] = { status: 'empty' };
-          logLine(result.sellerId, 'no seller found', total, done);
-        } else {
-          found++;
-          progress[result.sellerId] = { status: 'ok' };
-          appendCsvRow(result);
-          logLine(result.sellerId, `OK ${result.businessName || '(seller found)'}`, total, done);
-        }
-      }
-
-      // Save progress every 50 IDs processed
-      if (processedThisRun % 50 < CONCURRENCY) saveProgress(progress);
+    leftPending = await runIds(pendingIds, (result) => {
+      processedThisRun++;
+      const status = resultStatus(result);
+      store.put(result);
+      if (retried.has(result.sellerId)) tallyRetry(recovery, retried.get(result.sellerId), status);
 
-      // Delay between batches (not between individual requests within a batch)
-      if (i + CONCURRENCY < pendingIds.length && !shuttingDown) {
-        await sleep(DELAY_MS);
+      const details = { source: result.source };
+      if (status === 'error') {
+        errors++;
+        reportResult(result.sellerId, status, `ERROR: ${result.error}`, { ...details, error: result.error });
+      } else if (status === 'empty') {
+        reportResult(result.sellerId, status, 'no seller found', details);
+      } else {
+        found++;
+        const via = SOURCE === 'auto' ? ` [${result.source}]` : '';
+        reportResult(result.sellerId, status, `OK ${result.businessName || '(seller found)'}${via}`, { ...details, businessName: result.businessName });
       }
-    }
+    }, { afterResult: () => store.checkpoint() });
   } finally {
-    saveProgress(progress);
+    finishReporter();
+    closeScanStore(store);
   }
 
-  console.log(`\n--- Done ---`);
+  if (shuttingDown) {
+    console.log('\nProgress saved. Re-run the same command to resume.');
+    reportPending(leftPending);
+  }
+
+  console.log(`\n--- ${shuttingDown ? 'Stopped' : 'Done'} ---`);
   console.log(`Processed this run: ${processedThisRun}`);
   console.log(`Total processed: ${processedThisRun + alreadyDone} / ${total}`);
   console.log(`Sellers found: ${found}`);
   console.log(`Errors: ${errors}`);
-  console.log(`Results saved to: ${CSV_PATH}`);
+  console.log(`Final rate: ${limiter.rate.toFixed(2)} req/s`);
+  console.log(`Results saved to: ${args.out ?? CSV_PATH}`);
+
+  if (retried.size > 0) {
+    console.log(`\n--- Retry summary ---`);
+    console.log(`Retried: ${retried.size}`);
+    console.log(`Recovered: ${recovery.errorToOk + recovery.errorToEmpty + recovery.emptyToOk}`);
+    console.log(`  error → seller found: ${recovery.errorToOk}`);
+    console.log(`  error → no seller:    ${recovery.errorToEmpty}`);
+    console.log(`  empty → seller found: ${recovery.emptyToOk}`);
+    console.log(`Still failing: ${recovery.stillError}`);
+    if (recovery.lost > 0) console.log(`Seller found before, now empty or error: ${recovery.lost}`);
+  }
 }
 
-async function scrapeSeller(sellerId) {
-  const sourceUrl = `https://www.diy.com/verified-sellers/seller/${sellerId}`;
+/**
+ * discover: find the highest assigned seller ID (exponential probing and
+ * binary search over sampled windows, then a tail scan until EMPTY_WINDOW
+ * consecutive IDs are empty) and store it in frontier.json. Every fetched ID
+ * is also saved to the store.
+ */
+async function runDiscover() {
+  const store = await openScanStore();
+  handleShutdown();
+
+  const start = args.from ?? highestSellerId(store) ?? FROM_ID;
+  console.log(`\nFrontier discovery — ${MARKET.name} [${MARKET.tenant}]`);
+  console.log(`Starting from ID ${start} | empty window: ${EMPTY_WINDOW} IDs | Rate: ${RPS} req/s\n`);
 
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      const apiUrl = `https://api.kingfisher.com/v1/sellers/BQUK/${sellerId}`;
-      const resp = await fetch(apiUrl, {
-        headers: {
-          'Authorization': SELLER_API_KEY,
-          'Accept': '*/*',
-        },
+  const fetched = { count: 0 };
+  let frontier;
+  try {
+    frontier = await discoverFrontier({
+      start,
+      emptyWindow: EMPTY_WINDOW,
+      chunkSize: CONCURRENCY * 4,
+      fetchChunk: chunkFetcher(store, fetched),
+      log: (line) => console.log(`  ${line} (${fetched.count} requests so far)`),
+      shouldStop: () => shuttingDown,
+    });
+  } finally {
+    closeScanStore(store);
+  }
+
+  finishFrontier(frontier, fetched.count);
+}
+
+/**
+ * scan --frontier: scan upward from the stored frontier until EMPTY_WINDOW
+ * consecutive IDs are empty, and move the frontier to the newest seller.
+ */
+async function runFrontierScan() {
+  if (!KNOWN_FRONTIER) {
+    throw new Error(`No frontier recorded in ${PATHS.frontier} — run "node scrape.mjs discover" first`);
+  }
+
+  const store = await openScanStore();
+  handleShutdown();
+
+  const from = KNOWN_FRONTIER.frontier + 1;
+  console.log(`\nNew-seller scan — ${MARKET.name} [${MARKET.tenant}]`);
+  console.log(`Last frontier: ${KNOWN_FRONTIER.frontier} (${KNOWN_FRONTIER.updatedAt}) | empty window: ${EMPTY_WINDOW} IDs\n`);
+
+  const fetched = { count: 0 };
+  let frontier;
+  try {
+    frontier = await scanFrontierTail({
+      from,
+      emptyWindow: EMPTY_WINDOW,
+      chunkSize: CONCURRENCY * 4,
+      fetchChunk: chunkFetcher(store, fetched),
+      log: (line) => console.log(`  ${line}`),
+      shouldStop: () => shuttingDown,
+    });
+  } finally {
+    closeScanStore(store);
+  }
+
+  finishFrontier(frontier == null ? null : Math.max(frontier, KNOWN_FRONTIER.frontier), fetched.count);
+}
+
+function finishFrontier(frontier, requests) {
+  if (frontier == null) {
+    console.log('\nStopped before the frontier was found; frontier.json left unchanged.');
+    return;
+  }
+  const previous = KNOWN_FRONTIER?.frontier;
+  saveFrontier(PATHS.frontier, frontier, { emptyWindow: EMPTY_WINDOW });
+  console.log(`\n--- Done ---`);
+  console.log(`Frontier: ${frontier}${previous != null ? ` (was ${previous})` : ''}`);
+  console.log(`Requests: ${requests}`);
+  console.log(`Saved to: ${PATHS.frontier}`);
+}
+
+/**
+ * fetchChunk for lib/frontier.js. Known sellers are taken from the store and
+ * IDs already fetched in this run are not fetched twice; empty and errored
+ * IDs from earlier runs are fetched again, since an ID that was empty in an
+ * old sweep may have been assigned since.
+ */
+function chunkFetcher(store, fetched) {
+  const seenThisRun = new Map();
+  return async (ids) => {
+    const out = [];
+    const toFetch = [];
+    for (const id of ids) {
+      const status = seenThisRun.get(id) ?? (store.get(id)?.status === 'ok' ? 'ok' : null);
+      if (status) out.push({ sellerId: id, status });
+      else toFetch.push(id);
+    }
+
+    await runIds(toFetch, (result) => {
+      fetched.count++;
+      const status = resultStatus(result);
+      store.put(result);
+      seenThisRun.set(result.sellerId, status);
+      metrics?.result(result.sellerId, status);
+      out.push({ sellerId: result.sellerId, status });
+      if (status === 'ok') console.log(`    ID ${result.sellerId}: OK ${result.businessName || '(seller found)'}`);
+    }, { afterResult: () => store.checkpoint() });
+
+    return out;
+  };
+}
+
+function highestSellerId(store) {
+  let max = null;
+  for (const id of store.ids()) {
+    if (store.get(id)?.status === 'ok' && (max == null || id > max)) max = id;
+  }
+  return max;
+}
+
+async function openScanStore() {
+  migrateLegacyResults(MARKET, RESULTS_DIR);
+  mkdirSync(MARKET_DIR, { recursive: true });
+  const store = await openStore(STORE, args.out ? { ...PATHS, csv: args.out } : PATHS, { columns: FIELDS });
+  reportRecovery(store);
+  return store;
+}
+
+/** Say what loadProgress had to repair after an unclean stop (files store). */
+function reportRecovery(store) {
+  const r = store.recovery;
+  if (!r) return;
+  if (r.snapshotRebuilt) console.log(`Recovered: ${PATHS.progress} was unreadable — rebuilt from sellers.csv and the journal`);
+  if (r.tornLine) console.log('Recovered: dropped a partly written last line from the progress journal');
+  if (r.skippedLines > 0) console.log(`Recovered: skipped ${r.skippedLines} unreadable progress journal line(s)`);
+}
+
+function closeScanStore(store) {
+  // With SQLite, sellers.csv is an export of the database
+  if (store.kind === 'sqlite') {
+    store.checkpoint();
+    store.exportCsv();
+  }
+  store.close();
+}
+
+/** --retry modes: which recorded statuses get fetched again. */
+const RETRY_MODES = {
+  errors: ['error'],
+  empty: ['empty'],
+  all: ['error', 'empty', 'ok'],
+};
+
+function isOlderThan(entry, cutoff) {
+  if (cutoff == null) return true;
+  // Entries without a timestamp predate it, so they count as old
+  return !entry.updatedAt || Date.parse(entry.updatedAt) < cutoff;
+}
+
+function tallyRetry(recovery, before, after) {
+  if (before === 'error' && after === 'ok') recovery.errorToOk++;
+  else if (before === 'error' && after === 'empty') recovery.errorToEmpty++;
+  else if (before === 'empty' && after === 'ok') recovery.emptyToOk++;
+  else if (before === 'ok' && after !== 'ok') recovery.lost++;
+  if (after === 'error') recovery.stillError++;
+}
+
+/**
+ * reconcile: rewrite sellers.csv to match the recovered progress state — one
+ * row per ok seller, duplicates from a crash between a row and its status
+ * removed (see the files store's reconcile()).
+ */
+async function runReconcile() {
+  if (STORE !== 'files') throw new Error('reconcile applies to the files store; sellers.db commits each result in one transaction');
+  const csv = args.out ?? CSV_PATH;
+  if (!existsSync(csv)) throw new Error(`Nothing to reconcile: ${csv} doesn't exist`);
+
+  const store = await openScanStore();
+  let counts;
+  try {
+    counts = store.reconcile();
+  } finally {
+    store.close();
+  }
+
+  console.log(`Reconciled ${store.output}:`);
+  const lines = [
+    ['rows read', counts.rows],
+    ['sellers kept', counts.kept],
+    ['duplicate rows removed', counts.duplicates],
+    ['rows for IDs now empty/error', counts.dropped],
+    ['rows without a status (marked ok)', counts.adopted],
+    ['ok without a row (will be re-fetched)', counts.missing],
+  ];
+  for (const [label, value] of lines) console.log(`  ${`${label}:`.padEnd(40)} ${value}`);
+}
+
+/**
+ * import: one-time load of progress.json + sellers.csv into sellers.db.
+ */
+async function runImport() {
+  migrateLegacyResults(MARKET, RESULTS_DIR);
+  mkdirSync(MARKET_DIR, { recursive: true });
+
+  const store = await openSqliteStore(PATHS, { importing: true });
+  try {
+    const existing = store.ids().length;
+    if (existing > 0 && !args.force) {
+      throw new Error(`${PATHS.db} already holds ${existing} IDs — re-run with --force to import over them`);
+    }
+    const counts = store.importLegacy(PATHS);
+    console.log(`Imported into ${PATHS.db}:`);
+    console.log(`  sellers (from ${counts.csvRows} CSV rows): ${counts.sellers}`);
+    console.log(`  empty/error statuses: ${counts.statuses}`);
+    if (counts.missing > 0) {
+      console.log(`  marked ok without a CSV row (will be re-fetched): ${counts.missing}`);
+    }
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * export: write the sellers as --format (csv, tsv, jsonl, json, sql, xlsx)
+ * to --out, or to stdout with `--out -`. Records come from sellers.db when
+ * it exists (or with --store sqlite), otherwise from sellers.csv.
+ */
+async function runExport() {
+  const format = args.format ?? 'csv';
+  const exporter = getExporter(format);
+  const rows = (await exportRows()).filter(reviewFilter);
+  const path = args.out ?? `${MARKET_DIR}/sellers-export.${exporter.extension}`;
+  writeOutput(path, rows, { format, columns: FIELDS, bom: args.bom });
+  reportExport(`Exported ${rows.length} sellers`, path);
+}
+
+/** The store export-style commands read: --store, else sellers.db when it exists, else the files store. */
+function exportStoreKind() {
+  return args.store ?? (existsSync(PATHS.db) ? 'sqlite' : 'files');
+}
+
+/**
+ * writeExport for the export-style commands. The files store's sellers.csv
+ * is the data itself, so it is never an output: a filtered or re-columned
+ * copy written over it would lose every other row and column.
+ */
+function writeOutput(path, rows, options) {
+  if (path !== '-' && exportStoreKind() === 'files' && resolve(path) === resolve(CSV_PATH)) {
+    throw new Error(`Refusing to overwrite ${CSV_PATH}, the files store itself — pick another --out`);
+  }
+  return writeExport(path, rows, options);
+}
+
+async function exportRows(columns = FIELDS) {
+  const kind = exportStoreKind();
+  if (kind === 'files' && !existsSync(CSV_PATH)) throw new Error(`Nothing to export: ${CSV_PATH} doesn't exist`);
+  const store = await openStore(kind, PATHS, { readOnly: true });
+  try {
+    return store.rows(columns);
+  } finally {
+    store.close();
+  }
+}
+
+/**
+ * query: filter, sort and limit the collected sellers (see lib/query.js) and
+ * write the --fields columns in any export format (default: JSON Lines on
+ * stdout).
+ */
+async function runQuery() {
+  const filters = (args.where ?? []).map(parseFilter);
+  const sort = args.sort != null ? parseSort(args.sort) : [];
+  if (args.limit != null && !(Number.isInteger(args.limit) && args.limit >= 0)) {
+    throw new Error('--limit needs a whole number');
+  }
+
+  const rows = await exportRows([...new Set([...FIELDS, ...queryColumns({ filters, sort })])]);
+  const matched = queryRecords(rows, { filters, sort, limit: args.limit });
+  const path = args.out ?? '-';
+  writeOutput(path, matched, { format: args.format ?? 'jsonl', columns: FIELDS, bom: args.bom });
+  reportExport(`Matched ${matched.length} of ${rows.length} sellers`, path);
+}
+
+/**
+ * stats: seller counts by shipping and registered-address country, tax ID
+ * coverage and how many addresses came from the TBC fallback (see
+ * lib/stats.js). Text on stdout, or --format json.
+ */
+async function runStats() {
+  const format = args.format ?? 'text';
+  if (format !== 'text' && format !== 'json') throw new Error(`Unknown --format "${format}" for stats. Expected text or json`);
+
+  const rows = await exportRows(STATS_COLUMNS);
+  const stats = sellerStats(rows, { archive: loadArchive(PATHS.archive) });
+  if (format === 'json') process.stdout.write(JSON.stringify({ market: MARKET.id, ...stats }, null, 2) + '\n');
+  else process.stdout.write(`${MARKET.name} [${MARKET.tenant}] — ${args.store ?? (existsSync(PATHS.db) ? PATHS.db : CSV_PATH)}\n\n${formatStats(stats)}`);
+}
+
+/** --needs-review: keep only page-parsed records flagged as low confidence. */
+function reviewFilter(record) {
+  return !args.needsReview || String(record.needsReview) === 'true';
+}
+
+/** Log where an export went — on stderr when the data itself is on stdout. */
+function reportExport(message, path) {
+  if (path === '-') console.error(`${message} to stdout`);
+  else console.log(`${message} to ${path}`);
+}
+
+/**
+ * entities: cluster seller IDs that are the same company — equal tax IDs, or
+ * business names at least --threshold similar at the same postcode (see
+ * lib/entities.js) — and write the seller → cluster table.
+ */
+async function runEntities() {
+  const threshold = args.threshold ?? DEFAULT_THRESHOLD;
+  if (!(threshold > 0 && threshold <= 1)) throw new Error(`--threshold must be above 0 and at most 1 (got ${args.threshold})`);
+
+  const format = args.format ?? 'csv';
+  const exporter = getExporter(format);
+  const result = resolveEntities(await exportRows(ENTITY_INPUT_COLUMNS), { threshold });
+  const path = args.out ?? `${MARKET_DIR}/entities.${exporter.extension}`;
+  writeOutput(path, result.entities, { format, columns: ENTITY_COLUMNS, bom: args.bom });
+
+  const report = formatEntityReport(result);
+  if (path === '-') process.stderr.write(report);
+  else console.log(`\n${report}`);
+  reportExport(`Wrote ${result.entities.length} sellers in ${result.summary.entities} entities`, path);
+}
+
+/**
+ * reprocess: rebuild a CSV from the raw response archive without fetching
+ * anything — the latest archived response per seller, parsed again and
+ * written with the --fields columns (and --format, like export).
+ */
+async function runReprocess() {
+  const archive = loadArchive(PATHS.archive);
+  if (archive.size === 0) {
+    throw new Error(`No archived responses in ${PATHS.archive} — scan with --archive first`);
+  }
+
+  const rows = [];
+  for (const [sellerId, entry] of [...archive].sort(([a], [b]) => a - b)) {
+    if (sellerId < FROM_ID || sellerId > (args.to ?? Infinity)) continue;
+    const record = parseSellerApiResponse(entry.raw, sellerId, sellerPageUrl(MARKET, sellerId));
+    if (!record || resultStatus(record) !== 'ok') continue;
+    rows.push(projectRecord({ ...record, raw: entry.raw }, FIELDS));
+  }
+
+  const format = args.format ?? 'csv';
+  const path = args.out ?? `${MARKET_DIR}/sellers-reprocessed.${getExporter(format).extension}`;
+  writeOutput(path, rows, { format, columns: FIELDS, bom: args.bom });
+  reportExport(`Reprocessed ${archive.size} archived responses: ${rows.length} sellers written`, path);
+}
+
+/**
+ * rescan: fetch every ID in the range again (ignoring progress.json), store a
+ * dated snapshot and write a change report against the previous snapshot.
+ */
+async function runRescan() {
+  migrateLegacyResults(MARKET, RESULTS_DIR);
+  const dir = snapshotDir(MARKET_DIR);
+  const snapshot = openSnapshot(dir);
+
+  handleShutdown();
+
+  const ids = targetIds();
+  const pendingIds = ids.filter((id) => !snapshot.done.has(id));
+  const alreadyDone = ids.length - pendingIds.length;
+
+  console.log(`\nRescan (${SOURCE}) — ${MARKET.name} [${MARKET.tenant}]`);
+  console.log(describeTargets(ids));
+  if (alreadyDone > 0) {
+    console.log(`Resuming — ${alreadyDone} already done, ${pendingIds.length} remaining`);
+  }
+  console.log('');
+
+  startReporter(ids.length, alreadyDone);
+  let leftPending;
+  try {
+    leftPending = await runIds(pendingIds, (result) => {
+      const entry = snapshotEntry(result);
+      snapshot.append(entry);
+      const message = entry.status === 'ok' ? `OK ${entry.record.businessName || '(seller found)'}`
+        : entry.status === 'empty' ? 'no seller found' : `ERROR: ${entry.error}`;
+      reportResult(result.sellerId, entry.status, message, {
+        source: result.source,
+        ...(entry.status === 'ok' ? { businessName: entry.record.businessName } : {}),
+        ...(entry.error ? { error: entry.error } : {}),
       });
+    });
+  } finally {
+    finishReporter();
+  }
+  if (shuttingDown) {
+    console.log('\nThe snapshot is saved per ID. Re-run the same command to resume the rescan.');
+    reportPending(leftPending);
+    return;
+  }
 
-      // Not found — seller ID doesn't exist
-      if (resp.status === 404 || resp.status === 410) {
-        return emptyResult(sellerId, sourceUrl);
-      }
+  // Diff against sellers.csv with every earlier snapshot layered on top — read
+  // before finalize, so this rescan's own snapshot isn't part of it
+  const { entries: previous, sources } = loadPreviousState(dir, CSV_PATH);
+  const fromLabel = sources.length > 3 ? `${sources[0]} + ${sources.length - 2} snapshots + ${sources.at(-1)}`
+    : sources.length ? sources.join(' + ') : '(nothing yet)';
 
-      // Rate limited — back off and retry
-      if (resp.status === 429) {
-        const retryAfter = parseInt(resp.headers.get('retry-after') || '0', 10);
-        const backoff = Math.max(retryAfter * 1000, 2000 * Math.pow(2, attempt));
-        if (attempt < MAX_RETRIES) {
-          await sleep(backoff);
-          continue;
-        }
-        return { sellerId, error: 'Rate limited (429)' };
-      }
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const wanted = new Set(ids);
+  const current = new Map([...snapshot.entries].filter(([id]) => wanted.has(id)));
+  const snapshotPath = snapshot.finalize(stamp);
 
-      if (!resp.ok) {
-        const errMsg = `API HTTP ${resp.status}`;
-        if (attempt < MAX_RETRIES) {
-          await sleep(4000 * attempt);
-          continue;
-        }
-        return { sellerId, error: errMsg };
-      }
+  const diff = diffSnapshots(previous, current);
+  const text = formatChangeReport(diff, { from: fromLabel, to: `${stamp}.ndjson` });
+  const jsonPath = `${dir}/changes-${stamp}.json`;
+  const textPath = `${dir}/changes-${stamp}.txt`;
+  writeFileSync(jsonPath, JSON.stringify({ market: MARKET.id, from: fromLabel, to: `${stamp}.ndjson`, range: ID_LIST || SHARD ? formatIdRanges(ids) : { from: FROM_ID, to: TO_ID }, ...diff }, null, 2), 'utf-8');
+  writeFileSync(textPath, text, 'utf-8');
+
+  console.log(`\n--- Change report ---\n${text}`);
+  console.log(`Snapshot saved to: ${snapshotPath}`);
+  console.log(`Change report saved to: ${jsonPath}`);
+  console.log(`Summary saved to: ${textPath}`);
+}
+
+/**
+ * verify: fetch each ID from both the API and the storefront page and write a
+ * field-by-field diff report (JSON + readable summary) to the market directory.
+ */
+async function runVerify() {
+  const listed = ID_LIST ?? (args.from != null && args.to != null ? rangeIds(args.from, args.to) : null);
+  const ids = listed && SHARD ? shardIds(listed, SHARD) : listed;
+  if (!ids || ids.length === 0) {
+    throw new Error('verify needs a set of seller IDs: --ids 3958,4000, --ids-file or --from/--to');
+  }
+
+  mkdirSync(MARKET_DIR, { recursive: true });
+  console.log(`\nVerifying ${ids.length} seller(s) — API vs storefront page — ${MARKET.name} [${MARKET.tenant}]\n`);
+
+  handleShutdown();
 
-      const json = await resp.json();
-      return parseSellerApiResponse(json, sellerId, sourceUrl);
-    } catch (err) {
-      if (attempt < MAX_RETRIES) {
-        await sleep(4000 * attempt);
-        continue;
+  const reports = [];
+  startReporter(ids.length, 0);
+  let leftPending;
+  try {
+    leftPending = await runIds(ids, (report) => {
+      reports.push(report);
+      if (report.error) {
+        reportResult(report.sellerId, 'error', `ERROR: ${report.error}`, { error: report.error });
+        return;
       }
-      return { sellerId, error: err?.message || String(err) };
-    }
+      const diffs = VERIFY_FIELDS.filter((f) => isFieldMismatch(report.fields[f].status));
+      reportResult(report.sellerId, 'ok', diffs.length ? `differs: ${diffs.join(', ')}` : 'match', { differs: diffs });
+    }, { work: (id) => verifySeller(id, MARKET, requestOptions()) });
+  } finally {
+    finishReporter();
   }
+  if (shuttingDown) reportPending(leftPending);
+
+  const summary = summarizeVerify(reports);
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const jsonPath = `${MARKET_DIR}/verify-${stamp}.json`;
+  const textPath = `${MARKET_DIR}/verify-${stamp}.txt`;
+  const text = formatVerifyReport(summary, reports);
 
-  return { sellerId, error: 'Unknown scraping failure' };
+  writeFileSync(jsonPath, JSON.stringify({ market: MARKET.id, generatedAt: new Date().toISOString(), summary, reports }, null, 2), 'utf-8');
+  writeFileSync(textPath, text, 'utf-8');
+
+  console.log(`\n--- Verify report ---\n${text}`);
+  console.log(`Report saved to: ${jsonPath}`);
+  console.log(`Summary saved to: ${textPath}`);
 }
 
 /**
- * Parse the Kingfisher seller API JSON response into our flat CSV format.
- *
- * API response shape (JSON:API):
- *   { data: { id, type, attributes: {
- *       corporateName, taxIdentificationNumber, shippingCountry,
- *       corporateContactInformation: { street1, city, state, country, postCode }
- *   }}}
+ * parse: run saved seller pages through parseSellerPage offline and write the
+ * records in any export format (default: JSON Lines on stdout).
+ */
+async function runParse() {
+  if (!args.paths?.length) throw new Error('parse needs a file, directory or glob of saved pages');
+
+  const files = args.paths.flatMap(listPageFiles);
+  const columns = args.detailed && args.fields == null ? [...FIELDS, 'provenance'] : FIELDS;
+  const rows = files
+    .map((file) => parsePageFile(file, (id) => sellerPageUrl(MARKET, id), { detailed: args.detailed }))
+    .filter(reviewFilter)
+    .map((record) => projectRecord(record, columns));
+  const path = args.out ?? '-';
+  writeOutput(path, rows, { format: args.format ?? 'jsonl', columns, bom: args.bom });
+  reportExport(`Parsed ${files.length} page(s)${args.needsReview ? `, ${rows.length} need review` : ''}`, path);
+}
+
+/**
+ * check-parse: golden-file regression suite for the page parser. Every page
+ * in fixtures/pages (or the given directory) must parse to its
+ * .expected.json; any differing field fails the run. --update rewrites the
+ * expected files from the current parser.
+ */
+async function runCheckParse() {
+  const dir = args.paths?.[0] ?? FIXTURES_DIR;
+  const results = checkFixtures(dir, { pageUrl: (id) => sellerPageUrl(MARKET, id), update: args.update });
+  if (results.length === 0) throw new Error(`No fixture pages in ${dir}`);
+
+  process.stdout.write(formatCheckReport(results));
+  if (results.some((r) => r.status === 'fail' || r.status === 'missing')) process.exitCode = 1;
+}
+
+/**
+ * merge: combine shard output directories (each a copy of a machine's
+ * results/<market>/, or the directory itself) into one deduplicated dataset
+ * in results/<market>/ (or --out <dir>), stored with --store. Where shards
+ * saw the same ID, the newest successful result wins (see lib/merge.js);
+ * disagreements are listed in merge-<timestamp>.json/.txt.
  */
-function parseSellerApiResponse(json, sellerId, sourceUrl) {
-  const attrs = json?.data?.attributes;
-  if (!attrs) {
-    return emptyResult(sellerId, sourceUrl);
-  }
-
-  const businessName = (attrs.corporateName || attrs.sellerName || '').trim();
-  const vatNumber = (attrs.taxIdentificationNumber || '').trim();
-  const shippedFrom = (attrs.shippingCountry || '').trim();
-
-  // Prefer corporateContactInformation, but fall back to contactInformation
-  // if the corporate fields are placeholder "TBC" values
-  let registeredAddress = '';
-  const corpAddr = attrs.corporateContactInformation;
-  const contactAddr = attrs.contactInformation;
-  const addr = (corpAddr && !isTbcAddress(corpAddr)) ? corpAddr : contactAddr;
-  if (addr && typeof addr === 'object') {
-    registeredAddress = [
-      addr.street1 || '',
-      addr.street2 || '',
-      addr.city || '',
-      addr.state || '',
-      addr.postCode || '',
-      addr.country || '',
-    ].filter(Boolean).map(s => s.trim()).join(', ');
+async function runMerge() {
+  if (!args.paths?.length) throw new Error('merge needs the shard output directories, e.g. merge shard1/bq shard2/bq');
+
+  const outDir = args.out ?? MARKET_DIR;
+  const outPaths = dirPaths(outDir);
+  const inputs = args.paths.map(shardPaths);
+  if (inputs.some((paths) => resolve(paths.dir) === resolve(outDir))) {
+    throw new Error(`${outDir} is one of the shards — merge into another directory with --out`);
+  }
+  const existing = [outPaths.progress, outPaths.journal, outPaths.csv, outPaths.db].filter(existsSync);
+  if (existing.length > 0 && !args.force) {
+    throw new Error(`${outDir} already holds results (${existing.join(', ')}) — pick another --out, or re-run with --force to replace them`);
+  }
+
+  const shards = [];
+  for (const paths of inputs) shards.push(await readShard(paths));
+  const result = mergeShards(shards);
+
+  // --force: replaced files are moved aside and only deleted once the merge is written
+  mkdirSync(outDir, { recursive: true });
+  const replaced = [...existing, ...['-wal', '-shm'].map((s) => outPaths.db + s).filter(existsSync)];
+  for (const path of replaced) renameSync(path, `${path}.before-merge`);
+
+  let store;
+  try {
+    store = await openStore(STORE, outPaths, { columns: FIELDS });
+    try {
+      for (const o of result.merged) {
+        const base = { sellerId: o.sellerId, updatedAt: o.updatedAt ?? undefined };
+        if (o.status === 'ok') store.put({ ...o.record, ...base });
+        else if (o.status === 'error') store.put({ ...base, error: o.error || 'error' });
+        else store.put(base);
+      }
+    } finally {
+      closeScanStore(store);
+    }
+  } catch (err) {
+    for (const path of [outPaths.progress, outPaths.journal, outPaths.csv, outPaths.db, `${outPaths.db}-wal`, `${outPaths.db}-shm`]) {
+      rmSync(path, { force: true });
+    }
+    for (const path of replaced) renameSync(`${path}.before-merge`, path);
+    throw err;
+  }
+  for (const path of replaced) rmSync(`${path}.before-merge`);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const jsonPath = `${outDir}/merge-${stamp}.json`;
+  const textPath = `${outDir}/merge-${stamp}.txt`;
+  const text = formatMergeReport(result, { output: store.output });
+  writeFileSync(jsonPath, JSON.stringify({ market: MARKET.id, generatedAt: new Date().toISOString(), summary: result.summary, conflicts: result.conflicts }, null, 2), 'utf-8');
+  writeFileSync(textPath, text, 'utf-8');
+
+  console.log(`\n--- Merge report ---\n${text}`);
+  console.log(`Report saved to: ${jsonPath}`);
+  console.log(`Summary saved to: ${textPath}`);
+}
+
+/** A shard directory: the market directory itself, or a results directory holding <market>/. */
+function shardPaths(dir) {
+  const holdsResults = (paths) => [paths.progress, paths.journal, paths.db].some(existsSync);
+  const paths = dirPaths(dir.replace(/\/+$/, ''));
+  if (holdsResults(paths)) return paths;
+  const nested = dirPaths(`${paths.dir}/${MARKET.id}`);
+  if (holdsResults(nested)) return nested;
+  throw new Error(`${dir} holds no progress.json or sellers.db (nor does ${nested.dir})`);
+}
+
+/** Per-ID status and ok records of one shard, read without changing it. */
+async function readShard(paths) {
+  const kind = existsSync(paths.db) ? 'sqlite' : 'files';
+  const store = await openStore(kind, paths, { readOnly: true });
+  try {
+    const entries = new Map(store.ids().map((id) => [id, store.get(id)]));
+    const rows = kind === 'files' && !existsSync(paths.csv) ? [] : store.rows(CSV_COLUMNS);
+    const records = new Map(rows.map((row) => [Number(row.sellerId), row]));
+    return { label: paths.dir, entries, records };
+  } finally {
+    store.close();
   }
+}
+
+// --- Run helpers ---
+
+/** The IDs scan, rescan and verify work through: --ids/--ids-file or the range, then --shard. */
+function targetIds() {
+  const ids = ID_LIST ?? rangeIds(FROM_ID, TO_ID);
+  return SHARD ? shardIds(ids, SHARD) : ids;
+}
+
+function describeTargets(ids) {
+  const frontier = !ID_LIST && args.to == null && KNOWN_FRONTIER ? ` — frontier ${KNOWN_FRONTIER.frontier} + ${EMPTY_WINDOW}` : '';
+  const lines = [ID_LIST
+    ? `IDs: ${abbreviate(formatIdRanges(ID_LIST))} (${ID_LIST.length} IDs from ${args.idsFile === '-' ? 'stdin' : args.idsFile ?? '--ids'})`
+    : `Range: ${FROM_ID} – ${TO_ID} (${TO_ID - FROM_ID + 1} IDs)${frontier}`];
+  if (SHARD) lines.push(`Shard: ${SHARD.index}/${SHARD.count} — ${ids.length} IDs (id % ${SHARD.count} = ${SHARD.index - 1})`);
+  return lines.join('\n');
+}
+
+function abbreviate(text, max = 80) {
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
 
+function requestOptions() {
   return {
-    sellerId,
-    businessName,
-    vatNumber,
-    registeredAddress,
-    shippedFrom,
-    sourceUrl,
+    limiter,
+    timeoutMs: TIMEOUT_MS,
+    signal: runController.signal,
+    fetch: fetchImpl,
+    onAttempt: (attempt) => {
+      reporter?.attempt(attempt);
+      metrics?.attempt(attempt);
+    },
   };
 }
 
-/** Returns true if all address fields are "TBC" or empty placeholders. */
-function isTbcAddress(addr) {
-  const vals = [addr.street1, addr.street2, addr.city, addr.state, addr.postCode, addr.country]
-    .map((v) => (v || '').trim().toUpperCase())
-    .filter(Boolean);
-  return vals.length === 0 || vals.every((v) => v === 'TBC');
+async function fetchSeller(id) {
+  const result = await scrapeSeller(id, { market: MARKET, source: SOURCE, ...requestOptions() });
+  ARCHIVE?.append(result);
+  return result;
 }
 
-function emptyResult(sellerId, url) {
-  return {
-    sellerId,
-    businessName: '',
-    vatNumber: '',
-    registeredAddress: '',
-    shippedFrom: '',
-    sourceUrl: url,
+/**
+ * Run `work` (default: fetch the seller) for `ids` with CONCURRENCY requests
+ * in flight at all times and hand each result to `onResult` as it completes.
+ * `afterResult` runs after each one (e.g. to checkpoint progress). Pacing
+ * comes from the shared rate limiter.
+ *
+ * Results that arrive after a shutdown are still handed over; only requests
+ * cancelled by the abort are dropped. Returns the IDs left pending.
+ */
+async function runIds(ids, onResult, { work = fetchSeller, afterResult } = {}) {
+  const completed = new Set();
+  await runPool(ids, (id) => {
+    reporter?.started(id);
+    metrics?.started(id);
+    return work(id);
+  }, {
+    concurrency: CONCURRENCY,
+    shouldStop: () => shuttingDown,
+    onResult: (result, id) => {
+      if (result.aborted) {
+        reporter?.cancelled(id);
+        metrics?.cancelled(id);
+        return;
+      }
+      completed.add(id);
+      onResult(result);
+      afterResult?.();
+    },
+  });
+  return ids.filter((id) => !completed.has(id));
+}
+
+/**
+ * Ctrl+C / SIGTERM: stop taking new IDs and abort in-flight requests so the
+ * run winds down and saves what it received. A second signal exits at once.
+ */
+function handleShutdown() {
+  const shutdown = () => {
+    if (shuttingDown) {
+      console.log('\nForced exit.');
+      process.exit(1);
+    }
+    shuttingDown = true;
+    notice('\n\nShutting down — aborting in-flight requests (Ctrl+C again to force)...', { kind: 'shutdown' });
+    runController.abort();
   };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
-// --- CSV helpers ---
-function initCsv() {
-  if (!existsSync(CSV_PATH)) {
-    writeFileSync(CSV_PATH, CSV_COLUMNS.join(',') + '\n', 'utf-8');
+function reportPending(ids) {
+  if (ids.length === 0) {
+    console.log('No IDs left pending.');
+    return;
   }
+  console.log(`Left pending (${ids.length} IDs): ${formatIdRanges(ids)}`);
+}
+
+// --- Utilities ---
+
+/** "45s", "30m", "12h", "7d", "2w" → milliseconds. */
+function parseDuration(value) {
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/i);
+  if (!m) throw new Error(`Invalid duration "${value}" (expected e.g. 30m, 12h, 7d, 2w)`);
+  const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[m[2].toLowerCase()];
+  return parseFloat(m[1]) * unit;
 }
 
-function appendCsvRow(data) {
-  const row = CSV_COLUMNS.map((col) => csvEscape(data[col]));
-  appendFileSync(CSV_PATH, row.join(',') + '\n', 'utf-8');
+/** --ids or --ids-file (`-` reads stdin), or null when neither is given. */
+function loadIdList() {
+  if (args.ids != null && args.idsFile != null) throw new Error('Use either --ids or --ids-file, not both');
+  if (args.ids != null) return parseIdList(args.ids);
+  if (args.idsFile == null) return null;
+
+  const source = args.idsFile === '-' ? 'stdin' : args.idsFile;
+  const text = readFileSync(args.idsFile === '-' ? 0 : args.idsFile, 'utf-8');
+  const ids = parseIdList(text, { source, skipHeader: true });
+  if (ids.length === 0) throw new Error(`No seller IDs in ${source}`);
+  return ids;
 }
 
-function csvEscape(value) {
-  let val = value ?? '';
-  if (typeof val === 'object') val = JSON.stringify(val);
-  val = String(val);
-  if (val.includes(',') || val.includes('"') || val.includes('\n')) {
-    return `"${val.replace(/"/g, '""')}"`;
-  }
-  return val;
+function rangeIds(from, to) {
+  const ids = [];
+  for (let id = from; id <= to; id++) ids.push(id);
+  return ids;
 }
 
-// --- Progress helpers ---
-function loadProgress() {
-  if (existsSync(PROGRESS_PATH)) {
-    return JSON.parse(readFileSync(PROGRESS_PATH, 'utf-8'));
-  }
-  return {};
+/** Per-ID output for a run over `total` IDs, `done` of them finished by earlier runs. */
+function startReporter(total, done) {
+  reporter = createReporter({
+    total,
+    done,
+    format: LOG_FORMAT,
+    dashboard: args.dashboard,
+    limiter,
+    concurrency: CONCURRENCY,
+  });
+  metrics?.setPending(total - done);
 }
 
-function saveProgress(progress) {
-  writeFileSync(PROGRESS_PATH, JSON.stringify(progress), 'utf-8');
+/** Hand a finished ID to the reporter and the metrics. */
+function reportResult(sellerId, status, message, details) {
+  reporter.result(sellerId, status, message, details);
+  metrics?.result(sellerId, status);
 }
 
-// --- Utilities ---
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function finishReporter() {
+  reporter?.close();
+  reporter = null;
 }
 
-function logLine(id, message, total, done) {
-  const pct = ((done / total) * 100).toFixed(1);
-  process.stdout.write(`\r[${done}/${total} ${pct}%] ID ${id}: ${message}\n`);
+/** Print a message, above the dashboard (or as a JSON event) while a run is live. */
+function notice(message, fields) {
+  if (reporter) reporter.notice(message, fields);
+  else console.log(message);
 }
 
 function parseArgs(argv) {
+  // Flags that take no value — any other --flag consumes the next argument
+  const switches = new Set(['--frontier', '--force', '--archive', '--bom', '--update', '--detailed', '--needs-review', '--dashboard']);
+  const valued = new Set([
+    '--from', '--to', '--rps', '--empty-window', '--retry', '--older-than', '--timeout', '--max-rps', '--concurrency',
+    '--market', '--markets-file', '--source', '--store', '--out', '--format', '--record', '--replay', '--faults', '--fault-seed',
+    '--fields', '--ids', '--ids-file', '--shard', '--results-dir', '--log-format', '--metrics-port', '--metrics-host', '--where',
+    '--sort', '--limit', '--threshold',
+  ]);
   const result = {};
   for (let i = 0; i < argv.length; i++) {
-    if (argv[i] === '--from' && argv[i + 1]) result.from = parseInt(argv[i + 1], 10);
-    if (argv[i] === '--to' && argv[i + 1]) result.to = parseInt(argv[i + 1], 10);
-    if (argv[i] === '--delay' && argv[i + 1]) result.delay = parseInt(argv[i + 1], 10);
+    if (argv[i].startsWith('--')) {
+      if (!switches.has(argv[i]) && !valued.has(argv[i])) throw new Error(`Unknown option ${argv[i]}`);
+      if (valued.has(argv[i]) && argv[i + 1] == null) throw new Error(`${argv[i]} needs a value`);
+    } else if (i === 0 || !valued.has(argv[i - 1])) {
+      // First positional is the command wherever it stands, the rest are paths (parse, check-parse, merge)
+      if (result.command == null) result.command = argv[i];
+      else (result.paths ??= []).push(argv[i]);
+    }
+    if (argv[i] === '--from' && argv[i + 1]) result.from = Number(argv[i + 1]);
+    if (argv[i] === '--to' && argv[i + 1]) result.to = Number(argv[i + 1]);
+    if (argv[i] === '--rps' && argv[i + 1]) result.rps = parseFloat(argv[i + 1]);
+    if (argv[i] === '--frontier') result.frontier = true;
+    if (argv[i] === '--empty-window' && argv[i + 1]) result.emptyWindow = Number(argv[i + 1]);
+    if (argv[i] === '--retry' && argv[i + 1]) result.retry = argv[i + 1];
+    if (argv[i] === '--older-than' && argv[i + 1]) result.olderThan = parseDuration(argv[i + 1]);
+    if (argv[i] === '--timeout' && argv[i + 1]) result.timeout = parseInt(argv[i + 1], 10);
+    if (argv[i] === '--max-rps' && argv[i + 1]) result.maxRps = parseFloat(argv[i + 1]);
     if (argv[i] === '--concurrency' && argv[i + 1]) result.concurrency = parseInt(argv[i + 1], 10);
+    if (argv[i] === '--market' && argv[i + 1]) result.market = argv[i + 1];
+    if (argv[i] === '--markets-file' && argv[i + 1]) result.marketsFile = argv[i + 1];
+    if (argv[i] === '--source' && argv[i + 1]) result.source = argv[i + 1];
+    if (argv[i] === '--store' && argv[i + 1]) result.store = argv[i + 1];
+    if (argv[i] === '--out' && argv[i + 1]) result.out = argv[i + 1];
+    if (argv[i] === '--force') result.force = true;
+    if (argv[i] === '--archive') result.archive = true;
+    if (argv[i] === '--format' && argv[i + 1]) result.format = argv[i + 1];
+    if (argv[i] === '--bom') result.bom = true;
+    if (argv[i] === '--update') result.update = true;
+    if (argv[i] === '--detailed') result.detailed = true;
+    if (argv[i] === '--needs-review') result.needsReview = true;
+    if (argv[i] === '--record' && argv[i + 1]) result.record = argv[i + 1];
+    if (argv[i] === '--replay' && argv[i + 1]) result.replay = argv[i + 1];
+    if (argv[i] === '--faults' && argv[i + 1]) result.faults = argv[i + 1];
+    if (argv[i] === '--fault-seed' && argv[i + 1]) result.faultSeed = Number(argv[i + 1]);
+    if (argv[i] === '--fields' && argv[i + 1]) result.fields = argv[i + 1];
+    if (argv[i] === '--ids' && argv[i + 1]) result.ids = argv[i + 1];
+    if (argv[i] === '--ids-file' && argv[i + 1]) result.idsFile = argv[i + 1];
+    if (argv[i] === '--shard' && argv[i + 1]) result.shard = argv[i + 1];
+    if (argv[i] === '--results-dir' && argv[i + 1]) result.resultsDir = argv[i + 1];
+    if (argv[i] === '--dashboard') result.dashboard = true;
+    if (argv[i] === '--log-format' && argv[i + 1]) result.logFormat = argv[i + 1];
+    if (argv[i] === '--metrics-port' && argv[i + 1]) result.metricsPort = argv[i + 1];
+    if (argv[i] === '--metrics-host' && argv[i + 1]) result.metricsHost = argv[i + 1];
+    if (argv[i] === '--where' && argv[i + 1]) (result.where ??= []).push(argv[i + 1]);
+    if (argv[i] === '--sort' && argv[i + 1]) result.sort = argv[i + 1];
+    if (argv[i] === '--limit' && argv[i + 1]) result.limit = Number(argv[i + 1]);
+    if (argv[i] === '--threshold' && argv[i + 1]) result.threshold = parseFloat(argv[i + 1]);
   }
   return result;
 }
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addressColumns, isPlaceholder, splitAddress } from '../lib/address.js';
+import { isTbcAddress } from '../lib/sources.js';
+
+test('splitAddress drops form placeholders before taking the address apart', () => {
+  assert.deepEqual(splitAddress('79-81 Kingsland Road, London, --- Please Select ---, E2 8AH, GBR'), {
+    street1: '79-81 Kingsland Road',
+    street2: '',
+    city: 'London',
+    state: '',
+    postCode: 'E2 8AH',
+    country: 'GBR',
+  });
+  // The placeholder's own comma doesn't leave "state or province" behind as the city
+  const leicester = splitAddress('3 Spalding Street, Leicester, Please select a region, state or province., LE5 4PH, United Kingdom');
+  assert.equal(leicester.city, 'Leicester');
+  assert.equal(leicester.street2, '');
+  assert.equal(splitAddress('Heath Road, Maidstone, Please select region, state or province, ME17 4JD').city, 'Maidstone');
+  assert.equal(splitAddress('9 Fern Way, Ilfracombe, Please select…, EX34 8JS, GBR').city, 'Ilfracombe');
+  assert.deepEqual(splitAddress('TBC, TBC, TBC'), splitAddress(''));
+});
+
+test('splitAddress reads the country from the last part and a UK postcode wherever it is', () => {
+  assert.deepEqual(splitAddress('Unit 4, Selective Park, Leeds LS1 1AA, United Kingdom'), {
+    street1: 'Unit 4',
+    street2: 'Selective Park',
+    city: 'Leeds',
+    state: '',
+    postCode: 'LS1 1AA',
+    country: 'United Kingdom',
+  });
+  assert.equal(splitAddress('1 High St, York, yo11aa').postCode, 'YO1 1AA');
+});
+
+test('isPlaceholder and isTbcAddress share one idea of a placeholder', () => {
+  for (const value of ['', '  ', null, 'TBC', 'tbc', '--- Please Select ---', 'Please select…']) {
+    assert.equal(isPlaceholder(value), true, String(value));
+  }
+  for (const value of ['London', 'TBC Ltd', 'Selective Park']) assert.equal(isPlaceholder(value), false, value);
+
+  assert.equal(isTbcAddress({ street1: 'TBC', city: 'TBC', state: '--- Please Select ---', postCode: ' ' }), true);
+  assert.equal(isTbcAddress({}), true);
+  assert.equal(isTbcAddress({ street1: 'TBC', city: 'London' }), false);
+});
+
+test('addressColumns checks and normalises UK postcodes only', () => {
+  const gb = addressColumns({ registeredAddress: '1 High St, Leeds, ls11aa, United Kingdom', shippedFrom: 'GBR' });
+  assert.equal(gb.addressPostCode, 'LS1 1AA');
+  assert.equal(gb.postCodeValid, true);
+  assert.equal(gb.addressCountryIso2, 'GB');
+  assert.equal(gb.shippedFromIso3, 'GBR');
+  assert.equal(addressColumns({ registeredAddress: 'Hauptstr. 1, 10115 Berlin, Germany' }).postCodeValid, '');
+});
@@ -0,0 +1,127 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { cassettePath, parseFaults, recordingFetch, replayFetch } from '../lib/cassettes.js';
+
+const root = mkdtempSync(join(tmpdir(), 'bq-cassettes-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const URL_OK = 'https://api.example.com/v1/sellers/3958?include=address';
+const URL_GONE = 'https://api.example.com/v1/sellers/4000';
+const URL_BROKEN = 'https://api.example.com/v1/sellers/4001';
+
+/** A base fetch standing in for the network. */
+async function network(url) {
+  if (url === URL_OK) {
+    return Response.json({ data: { id: 3958 } }, { headers: { 'set-cookie': 'session=abc', 'retry-after': '5' } });
+  }
+  if (url === URL_GONE) return new Response(null, { status: 204 });
+  throw new Error('socket hang up');
+}
+
+/** A cassette directory recorded from `network`. */
+async function recorded() {
+  const dir = mkdtempSync(join(root, 'run-'));
+  const record = recordingFetch(dir, network);
+  await record(URL_OK, { headers: { 'x-api-key': 'SECRET' } });
+  await record(URL_GONE);
+  await assert.rejects(record(URL_BROKEN), /socket hang up/);
+  return dir;
+}
+
+test('recording saves one cassette per URL, without request headers or CDN noise', async () => {
+  const dir = await recorded();
+  assert.equal(readdirSync(dir).length, 3);
+
+  const text = readFileSync(cassettePath(dir, 'GET', URL_OK), 'utf-8');
+  assert.doesNotMatch(text, /SECRET|session=abc/);
+  const cassette = JSON.parse(text);
+  assert.deepEqual(cassette.request, { method: 'GET', url: URL_OK });
+  assert.equal(cassette.response.status, 200);
+  assert.deepEqual(cassette.response.headers, { 'content-type': 'application/json', 'retry-after': '5' });
+  assert.deepEqual(JSON.parse(cassette.response.body), { data: { id: 3958 } });
+  assert.equal(JSON.parse(readFileSync(cassettePath(dir, 'GET', URL_BROKEN), 'utf-8')).error, 'socket hang up');
+});
+
+test('the recorder still hands the caller a readable response', async () => {
+  const resp = await recordingFetch(mkdtempSync(join(root, 'run-')), network)(URL_OK);
+  assert.deepEqual(await resp.json(), { data: { id: 3958 } });
+});
+
+test('an aborted request is not recorded as an error', async () => {
+  const dir = mkdtempSync(join(root, 'run-'));
+  const controller = new AbortController();
+  controller.abort();
+  const aborting = async (url, init) => {
+    throw init.signal.reason;
+  };
+  await assert.rejects(recordingFetch(dir, aborting)(URL_OK, { signal: controller.signal }));
+  assert.equal(existsSync(cassettePath(dir, 'GET', URL_OK)), false);
+});
+
+test('replay answers from the cassettes, errors included', async () => {
+  const replay = replayFetch(await recorded());
+
+  const ok = await replay(URL_OK);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get('retry-after'), '5');
+  assert.deepEqual(await ok.json(), { data: { id: 3958 } });
+  assert.equal((await replay(URL_GONE)).status, 204);
+  await assert.rejects(replay(URL_BROKEN), /socket hang up/);
+});
+
+test('a URL without a cassette fails at once and is not retryable', async () => {
+  const replay = replayFetch(await recorded());
+  await assert.rejects(replay('https://api.example.com/v1/sellers/1'), (err) => {
+    assert.equal(err.name, 'CassetteMissError');
+    assert.equal(err.retryable, false);
+    return true;
+  });
+  assert.throws(() => replayFetch(join(root, 'missing')), /No cassette directory .* record one with --record/);
+});
+
+/** The statuses a replay gives for `count` requests of URL_OK. */
+async function statuses(dir, options, count = 200) {
+  const replay = replayFetch(dir, options);
+  const result = [];
+  for (let i = 0; i < count; i++) result.push((await replay(URL_OK)).status);
+  return result;
+}
+
+test('injected faults come from a seeded PRNG: the same seed fails the same requests', async () => {
+  const dir = await recorded();
+  const faults = { '429': 0.2, '5xx': 0.1 };
+  const first = await statuses(dir, { faults, seed: 7 });
+  assert.deepEqual(await statuses(dir, { faults, seed: 7 }), first);
+  assert.notDeepEqual(await statuses(dir, { faults, seed: 8 }), first);
+
+  const count = (status) => first.filter((s) => s === status).length;
+  assert.ok(count(429) > 20 && count(429) < 60, `429s: ${count(429)}`);
+  assert.ok(count(503) > 5 && count(503) < 35, `503s: ${count(503)}`);
+  assert.equal(count(200) + count(429) + count(503), 200);
+
+  // No faults configured: every request is answered from the cassette
+  assert.deepEqual(new Set(await statuses(dir, {}, 20)), new Set([200]));
+});
+
+test('an injected 429 carries Retry-After, and an injected timeout waits for the abort', async () => {
+  const dir = await recorded();
+  const throttled = await replayFetch(dir, { faults: { '429': 1 } })(URL_OK);
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.headers.get('retry-after'), '1');
+
+  const controller = new AbortController();
+  const pending = replayFetch(dir, { faults: { timeout: 1 } })(URL_OK, { signal: controller.signal });
+  controller.abort(new DOMException('The operation timed out.', 'TimeoutError'));
+  await assert.rejects(pending, { name: 'TimeoutError' });
+});
+
+test('parseFaults reads the --faults spec and rejects bad rates', () => {
+  assert.deepEqual(parseFaults('429=0.1, 5xx=0.05,timeout=0.02'), { '429': 0.1, '5xx': 0.05, timeout: 0.02 });
+  assert.deepEqual(parseFaults(''), {});
+  assert.throws(() => parseFaults('404=0.1'), /Invalid fault "404=0.1"/);
+  assert.throws(() => parseFaults('429=2'), /Invalid fault/);
+  assert.throws(() => parseFaults('429=0.6,5xx=0.6'), /add up to 1.2/);
+});
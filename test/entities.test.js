@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatEntityReport, nameSimilarity, normalizeName, resolveEntities } from '../lib/entities.js';
+
+const seller = (sellerId, businessName, extra = {}) => ({
+  sellerId: String(sellerId),
+  businessName,
+  taxIdNormalized: '',
+  registeredAddress: '',
+  addressPostCode: '',
+  ...extra,
+});
+
+/** sellerId → clusterId for every seller. */
+const clustersOf = ({ entities }) => Object.fromEntries(entities.map((e) => [e.sellerId, e.clusterId]));
+const entityOf = ({ entities }, sellerId) => entities.find((e) => e.sellerId === sellerId);
+
+test('sellers sharing a VAT number are one entity, whatever their names', () => {
+  const result = resolveEntities([
+    seller(42, 'Acme Trading Ltd', { taxIdNormalized: 'GB918266505' }),
+    seller(7, 'Totally Different Name', { taxIdNormalized: 'GB918266505' }),
+    seller(9, 'Someone Else', { taxIdNormalized: 'GB654321987' }),
+  ]);
+  assert.deepEqual(clustersOf(result), { 7: 7, 9: 9, 42: 7 });
+  assert.deepEqual(entityOf(result, 42), {
+    sellerId: 42,
+    clusterId: 7,
+    clusterSize: 2,
+    businessName: 'Acme Trading Ltd',
+    taxIdNormalized: 'GB918266505',
+    addressPostCode: '',
+    matchedSellerId: 7,
+    matchReason: 'taxId',
+    matchScore: 1,
+  });
+  // The cluster's own seller has no match
+  assert.equal(entityOf(result, 7).matchReason, '');
+  assert.deepEqual(result.summary, {
+    sellers: 3,
+    entities: 2,
+    clusters: 1,
+    sellersInClusters: 2,
+    byReason: { taxId: 1, namePostcode: 0 },
+    threshold: 0.9,
+  });
+});
+
+test('a near-duplicate name at the same postcode links; a different postcode or name does not', () => {
+  const result = resolveEntities([
+    seller(1, 'Acme Trading Ltd', { addressPostCode: 'LS1 1AA' }),
+    seller(2, 'ACME TRADINGS LIMITED', { addressPostCode: 'ls11aa' }),
+    seller(3, 'Acme Trading Ltd', { addressPostCode: 'M1 1AE' }),
+    seller(4, 'Acme Homeware Ltd', { addressPostCode: 'LS1 1AA' }),
+    // No postcode: the whole address is the block
+    seller(5, 'The Brightside Home & Garden Co.', { registeredAddress: '1 High St, York' }),
+    seller(6, 'Brightside Home and Garden', { registeredAddress: '1 HIGH ST YORK' }),
+  ]);
+  assert.deepEqual(clustersOf(result), { 1: 1, 2: 1, 3: 3, 4: 4, 5: 5, 6: 5 });
+  assert.equal(entityOf(result, 2).matchReason, 'namePostcode');
+  assert.equal(entityOf(result, 2).matchScore, 0.952);
+  assert.equal(entityOf(result, 6).matchScore, 1);
+});
+
+test('the threshold decides how similar names at one postcode must be', () => {
+  const records = [
+    seller(1, 'Acme Trading Ltd', { addressPostCode: 'LS1 1AA' }),
+    seller(2, 'Acme Tradings Ltd', { addressPostCode: 'LS1 1AA' }),
+  ];
+  assert.equal(resolveEntities(records).summary.clusters, 1);
+  assert.equal(resolveEntities(records, { threshold: 0.96 }).summary.clusters, 0);
+  assert.equal(resolveEntities(records, { threshold: 0.96 }).summary.threshold, 0.96);
+});
+
+test('filler tax IDs and blank postcodes link nobody', () => {
+  const result = resolveEntities([
+    seller(1, 'Acme Trading Ltd', { taxIdNormalized: 'GB000000000' }),
+    seller(2, 'Widgets Ltd', { taxIdNormalized: 'GB000000000' }),
+    seller(3, 'Gadgets Ltd', { taxIdNormalized: 'GB123456789' }),
+    seller(4, 'Gizmos Ltd', { taxIdNormalized: 'GB123456789' }),
+    // Same name, but neither a postcode nor an address to compare
+    seller(5, 'Acme Trading Ltd'),
+  ]);
+  assert.equal(result.summary.clusters, 0);
+  assert.equal(result.summary.entities, 5);
+});
+
+test('links chain into one cluster, each seller pointing back towards the lowest ID', () => {
+  const result = resolveEntities([
+    seller(30, 'Acme Trading Ltd', { taxIdNormalized: 'GB918266505', addressPostCode: 'LS1 1AA' }),
+    seller(20, 'Acme Trading', { addressPostCode: 'LS1 1AA' }),
+    seller(10, 'Other Name Ltd', { taxIdNormalized: 'GB918266505' }),
+  ]);
+  assert.deepEqual(clustersOf(result), { 10: 10, 20: 10, 30: 10 });
+  assert.deepEqual([entityOf(result, 30).matchedSellerId, entityOf(result, 30).matchReason], [10, 'taxId']);
+  assert.deepEqual([entityOf(result, 20).matchedSellerId, entityOf(result, 20).matchReason], [30, 'namePostcode']);
+  assert.equal(entityOf(result, 20).clusterSize, 3);
+
+  const report = formatEntityReport(result);
+  assert.match(report, /Clusters of 2\+ sellers: {2}1 \(3 sellers\)/);
+  assert.match(report, /Cluster 10 \(3 sellers\)\n {4}10 {6}Other Name Ltd \[cluster ID\]\n {4}20 {6}Acme Trading \[namePostcode 1 ~ 30\]/);
+});
+
+test('normalizeName drops casing, accents, punctuation and legal suffixes', () => {
+  assert.equal(normalizeName('The Acme Trading Co. Ltd'), 'acme trading');
+  assert.equal(normalizeName('Müller & Söhne GmbH'), 'muller and sohne');
+  assert.equal(normalizeName('Novák s.r.o.'), 'novak');
+  assert.equal(normalizeName('Kowalski Sp. z o.o.'), 'kowalski');
+  assert.equal(normalizeName('Limited'), 'limited');
+  assert.equal(normalizeName(null), '');
+
+  assert.equal(nameSimilarity('acme', 'acme'), 1);
+  assert.equal(nameSimilarity('acme trading', 'acmetrading'), 1);
+  assert.equal(nameSimilarity('abc', 'xyz'), 0);
+  assert.equal(nameSimilarity('', 'acme'), 0);
+});
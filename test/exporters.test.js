@@ -0,0 +1,97 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { crc32, inflateRawSync } from 'node:zlib';
+import { getExporter, writeExport } from '../lib/exporters.js';
+import { guardFormula, parseCsvRecords, unguardFormula } from '../lib/csv.js';
+
+const root = mkdtempSync(join(tmpdir(), 'bq-export-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+const HYPERLINK = '=HYPERLINK("http://example.com/x","Click me")';
+const columns = ['sellerId', 'businessName', 'taxIdValid', 'needsReview'];
+
+/** The entries of a zip, read from its central directory; checks each one's CRC. */
+function unzip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'no end-of-central-directory record');
+  const count = buf.readUInt16LE(end + 10);
+  const files = new Map();
+  let at = buf.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(at), 0x02014b50);
+    const crc = buf.readUInt32LE(at + 16);
+    const size = buf.readUInt32LE(at + 20);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const extraLength = buf.readUInt16LE(at + 30);
+    const commentLength = buf.readUInt16LE(at + 32);
+    const local = buf.readUInt32LE(at + 42);
+    const name = buf.toString('utf-8', at + 46, at + 46 + nameLength);
+
+    assert.equal(buf.readUInt32LE(local), 0x04034b50);
+    const dataStart = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = inflateRawSync(buf.subarray(dataStart, dataStart + size));
+    assert.equal(crc32(data), crc, `CRC of ${name}`);
+    files.set(name, data.toString('utf-8'));
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+test('guardFormula defuses formula-like text and unguardFormula restores it', () => {
+  assert.equal(guardFormula(HYPERLINK), `'${HYPERLINK}`);
+  assert.equal(unguardFormula(guardFormula(HYPERLINK)), HYPERLINK);
+  for (const text of ['+44 20 7946 0000', '@SUM(A1)', '-cmd']) assert.equal(unguardFormula(guardFormula(text)), text);
+  // Plain numbers and ordinary text are left alone
+  for (const text of ['-5', '+1.5', 'Acme Ltd', '=']) assert.equal(guardFormula(text), text);
+});
+
+test('a guarded =HYPERLINK name survives a CSV round trip', () => {
+  const csv = getExporter('csv').render([{ sellerId: 7, businessName: HYPERLINK }], columns);
+  const line = csv.split('\n')[1];
+  assert.match(line, /^7,"'=HYPERLINK\(/);
+  assert.equal(parseCsvRecords(csv)[0].businessName, HYPERLINK);
+
+  assert.ok(getExporter('csv').render([], columns, { bom: true }).startsWith('\uFEFFsellerId,'));
+  assert.equal(getExporter('tsv').render([{ sellerId: 7, businessName: `${HYPERLINK}\tand\nmore` }], columns).split('\n')[1],
+    `7\t'${HYPERLINK} and more\t\t`);
+});
+
+test('xlsx output is a zip that unzips, with the formula stored as plain text', () => {
+  const buf = getExporter('xlsx').render([{ sellerId: 7, businessName: HYPERLINK, taxIdValid: 'x < y & z' }], columns);
+  const files = unzip(buf);
+  assert.deepEqual([...files.keys()], [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/workbook.xml',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/worksheets/sheet1.xml',
+  ]);
+  const sheet = files.get('xl/worksheets/sheet1.xml');
+  assert.match(sheet, /<c r="A2"><v>7<\/v><\/c>/);
+  assert.match(sheet, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;http:\/\/example\.com\/x&quot;,&quot;Click me&quot;\)<\/t><\/is><\/c>/);
+  assert.match(sheet, /x &lt; y &amp; z/);
+  assert.doesNotMatch(sheet, /<f>/);
+});
+
+test('flag columns come out as booleans whichever store the rows came from', () => {
+  const fromCsv = [{ sellerId: '1', businessName: "O'Brien Ltd", taxIdValid: 'true', needsReview: 'false' }];
+  const fromDb = [{ sellerId: '1', businessName: "O'Brien Ltd", taxIdValid: true, needsReview: false }];
+  for (const format of ['json', 'jsonl', 'sql', 'csv']) {
+    const [a, b] = [fromCsv, fromDb].map((rows, i) => readFileSync(writeExport(join(root, `${format}-${i}.out`), rows, { format, columns }), 'utf-8'));
+    assert.equal(a, b, format);
+  }
+
+  const [json] = JSON.parse(readFileSync(join(root, 'json-0.out'), 'utf-8'));
+  assert.deepEqual(json, { sellerId: '1', businessName: "O'Brien Ltd", taxIdValid: true, needsReview: false });
+  assert.match(readFileSync(join(root, 'sql-0.out'), 'utf-8'), /VALUES \('1', 'O''Brien Ltd', TRUE, FALSE\);/);
+  // The rows passed in are not changed
+  assert.equal(fromCsv[0].taxIdValid, 'true');
+});
+
+test('an unknown format names the supported ones', () => {
+  assert.throws(() => getExporter('pdf'), /Unknown --format "pdf"\. Expected one of: csv, tsv, jsonl, json, sql, xlsx/);
+});
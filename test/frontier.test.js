@@ -0,0 +1,91 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { discoverFrontier, loadFrontier, saveFrontier, scanFrontierTail } from '../lib/frontier.js';
+
+const root = mkdtempSync(join(tmpdir(), 'bq-frontier-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+/** A fetchChunk over a fixed set of seller IDs that counts what it is asked for. */
+function fakeApi(sellers) {
+  const ids = new Set(sellers);
+  const api = {
+    requests: 0,
+    calls: [],
+    fetchChunk: async (chunk) => {
+      api.requests += chunk.length;
+      api.calls.push(chunk);
+      return chunk.map((sellerId) => ({ sellerId, status: ids.has(sellerId) ? 'ok' : 'empty' }));
+    },
+  };
+  return api;
+}
+
+/** Blocks of `width` consecutive IDs, one starting every `every` IDs, from `from` up to `to`. */
+function blocks(from, to, { every, width }) {
+  const ids = [];
+  for (let start = from; start <= to; start += every) {
+    for (let id = start; id < Math.min(start + width, to + 1); id++) ids.push(id);
+  }
+  return ids;
+}
+
+const span = (from, to) => blocks(from, to, { every: to - from + 1, width: to - from + 1 });
+
+test('finds the frontier far above the start with sampled probes, checking only the last window in full', async () => {
+  // 500 sellers, then a 1500-ID gap, again and again up to ID 199499
+  const api = fakeApi(blocks(1000, 199_499, { every: 2000, width: 500 }));
+  const lines = [];
+  const frontier = await discoverFrontier({ start: 1000, emptyWindow: 2500, chunkSize: 20, fetchChunk: api.fetchChunk, log: (l) => lines.push(l) });
+
+  assert.equal(frontier, 199_499);
+  // Whole windows would cost 2500 requests for every probe that comes back empty
+  assert.ok(api.requests < 6000, `${api.requests} requests`);
+  assert.ok(lines.some((l) => /^probe .*: none sampled$/.test(l)));
+  assert.match(lines.at(-1), /^tail \d+–\d+: highest seller 199499$/);
+  // Probes are one chunk each, spread over their window
+  const probe = api.calls[0];
+  assert.equal(probe.length, 20);
+  assert.deepEqual(probe.slice(0, 3), [3500, 3625, 3750]);
+});
+
+test('a block too narrow for the samples to see is still found by the tail scan', async () => {
+  // The last block (5500–5520) falls between the samples of the probe at 3700
+  const api = fakeApi([...span(1000, 1400), ...span(3000, 3600), ...span(5500, 5520)]);
+  const lines = [];
+  const frontier = await discoverFrontier({ start: 1200, emptyWindow: 2500, chunkSize: 20, fetchChunk: api.fetchChunk, log: (l) => lines.push(l) });
+
+  assert.equal(frontier, 5520);
+  assert.match(lines[0], /^probe 3700–6199: none sampled$/);
+});
+
+test('no seller above the start leaves the frontier at the start', async () => {
+  const api = fakeApi([10, 11, 12]);
+  assert.equal(await discoverFrontier({ start: 12, emptyWindow: 100, chunkSize: 10, fetchChunk: api.fetchChunk }), 12);
+  // One sampled probe, then the one full window
+  assert.equal(api.requests, 10 + 100);
+});
+
+test('the tail scan needs emptyWindow consecutive empty IDs to stop', async () => {
+  const api = fakeApi([105, 180, 290]);
+  assert.equal(await scanFrontierTail({ from: 101, emptyWindow: 100, chunkSize: 10, fetchChunk: api.fetchChunk }), 180);
+  assert.equal(await scanFrontierTail({ from: 300, emptyWindow: 100, chunkSize: 10, fetchChunk: fakeApi([]).fetchChunk }), 299);
+});
+
+test('shouldStop ends the search without a frontier', async () => {
+  const api = fakeApi(blocks(1, 100_000, { every: 1000, width: 900 }));
+  let calls = 0;
+  const shouldStop = () => ++calls > 3;
+  assert.equal(await discoverFrontier({ start: 1, emptyWindow: 500, chunkSize: 10, fetchChunk: api.fetchChunk, shouldStop }), null);
+  assert.equal(await scanFrontierTail({ from: 1, emptyWindow: 500, chunkSize: 10, fetchChunk: api.fetchChunk, shouldStop: () => true }), null);
+});
+
+test('frontier.json round-trips', () => {
+  const path = join(root, 'frontier.json');
+  assert.equal(loadFrontier(path), null);
+  const saved = saveFrontier(path, 4521, { emptyWindow: 2500 });
+  assert.deepEqual(loadFrontier(path), saved);
+  assert.equal(saved.frontier, 4521);
+});
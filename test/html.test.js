@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodeEntities,
+  elementChildren,
+  innerText,
+  nextElementSibling,
+  parseHtml,
+  querySelector,
+  querySelectorAll,
+} from '../lib/html.js';
+
+/** A compact view of the tree: "name(children…)" for elements, quoted text. */
+function shape(node) {
+  if (node.type === 'text') return JSON.stringify(node.text);
+  return `${node.name}(${node.children.map(shape).join(' ')})`;
+}
+
+test('the tokenizer reads attributes in every quoting style and drops comments, doctypes and scripts', () => {
+  const doc = parseHtml(`<!DOCTYPE html><!-- hi --><div id=main CLASS="a b" data-x='1 > 0' hidden>
+    <script>if (a < b) document.write("<p>")</script><style>p{}</style>Text</div>`);
+  const div = querySelector(doc, 'div');
+  assert.deepEqual(div.attrs, { id: 'main', class: 'a b', 'data-x': '1 > 0', hidden: '' });
+  assert.equal(shape(div), 'div("\\n    " script() style() "Text")');
+  assert.equal(div.parent, doc);
+});
+
+test('void elements take no children, and <title>/<textarea> hold raw text', () => {
+  const doc = parseHtml('<p>a<br>b<img src="x.png"/>c</p><title>A <b>&amp;</b> B</title>');
+  assert.equal(shape(doc), '#document(p("a" br() "b" img() "c") title("A <b>&</b> B"))');
+});
+
+test('optional end tags are implied and stray end tags ignored, like a browser', () => {
+  assert.equal(shape(parseHtml('<ul><li>one<li>two</ul>')), '#document(ul(li("one") li("two")))');
+  assert.equal(shape(parseHtml('<dl><dt>VAT<dd>GB123<dt>Tel<dd>0123</dl>')),
+    '#document(dl(dt("VAT") dd("GB123") dt("Tel") dd("0123")))');
+  assert.equal(shape(parseHtml('<table><tr><td>a<td>b<tr><td>c</table>')),
+    '#document(table(tr(td("a") td("b")) tr(td("c"))))');
+  assert.equal(shape(parseHtml('<p>one<div>two</div>')), '#document(p("one") div("two"))');
+  assert.equal(shape(parseHtml('<div>a</span>b</p></div>c')), '#document(div("ab") "c")');
+  // An unterminated tag-like "<" is text
+  assert.equal(shape(parseHtml('1 < 2 <3')), '#document("1 < 2 <3")');
+});
+
+const PAGE = parseHtml(`
+  <div id="seller" class="card seller-info">
+    <h2 class="title">Acme Ltd</h2>
+    <ul class="details">
+      <li data-key="vat"><span>VAT</span> <a href="/vat?id=1">GB123</a></li>
+      <li data-key="vat-old" lang="en gb"><span>Old VAT</span></li>
+      <li data-key="address"><span class="label">Address</span><p>1 High St</p></li>
+    </ul>
+  </div>
+  <div class="card"><a href="https://example.com/about">About</a></div>`);
+
+const names = (els) => els.map((el) => el.attrs['data-key'] ?? el.attrs.href ?? el.name);
+
+test('selectors match tags, ids, classes and attribute operators', () => {
+  assert.equal(querySelectorAll(PAGE, 'div').length, 2);
+  assert.equal(querySelector(PAGE, '#seller').attrs.id, 'seller');
+  assert.equal(querySelectorAll(PAGE, '.card').length, 2);
+  assert.equal(querySelectorAll(PAGE, 'div.card.seller-info').length, 1);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'li[data-key]')), ['vat', 'vat-old', 'address']);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'li[data-key="vat"]')), ['vat']);
+  assert.deepEqual(names(querySelectorAll(PAGE, "li[data-key^='vat']")), ['vat', 'vat-old']);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'li[data-key$=old]')), ['vat-old']);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'li[data-key*=dre]')), ['address']);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'li[lang~=gb]')), ['vat-old']);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'a[href^="https:"]')), ['https://example.com/about']);
+  assert.equal(querySelector(PAGE, 'table'), null);
+});
+
+test('descendant, child and comma-separated selectors', () => {
+  assert.deepEqual(names(querySelectorAll(PAGE, '#seller a')), ['/vat?id=1']);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'ul > li > span')), ['span', 'span', 'span']);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'div > span')), []);
+  assert.deepEqual(names(querySelectorAll(PAGE, 'h2, p')), ['h2', 'p']);
+  // Matches are relative to the node searched from
+  const list = querySelector(PAGE, 'ul');
+  assert.equal(querySelectorAll(list, 'div li').length, 0);
+  assert.equal(querySelectorAll(list, '* > span').length, 3);
+  assert.throws(() => querySelectorAll(PAGE, 'li:first-child'), /Unsupported selector/);
+  assert.throws(() => querySelectorAll(PAGE, ' '), /Empty selector/);
+});
+
+test('element navigation skips text nodes', () => {
+  const vat = querySelector(PAGE, 'li[data-key=vat]');
+  assert.deepEqual(elementChildren(vat).map((el) => el.name), ['span', 'a']);
+  assert.equal(nextElementSibling(vat).attrs['data-key'], 'vat-old');
+  assert.equal(nextElementSibling(querySelector(PAGE, 'li[data-key=address]')), null);
+});
+
+test('innerText puts block elements on their own lines and collapses spaces', () => {
+  assert.equal(innerText(querySelector(PAGE, '#seller')), 'Acme Ltd\nVAT GB123\nOld VAT\nAddress\n1 High St');
+  assert.equal(innerText(parseHtml('a<br>b&nbsp;&nbsp; c<b>d</b>')), 'a\nb cd');
+  assert.equal(innerText(querySelector(PAGE, 'ul'), { skip: (el) => el.name === 'span' }), 'GB123\n1 High St');
+});
+
+test('decodeEntities: named, numeric and legacy references', () => {
+  assert.equal(decodeEntities('Fish &amp; Chips &lt;3 &eacute;&Omega;&hellip;&apos;'), 'Fish & Chips <3 éΩ…\'');
+  assert.equal(decodeEntities('&#169; &#xA9; &#X1F600;'), '© © 😀');
+  // &#128;–&#159; are windows-1252; invalid code points become U+FFFD
+  assert.equal(decodeEntities('&#128;&#150;&#0;&#xD800;&#x110000;'), '€–���');
+  // Unknown names stay as written, and so do names without ";" outside the legacy set
+  assert.equal(decodeEntities('&bogus; &eacute &'), '&bogus; &eacute &');
+  assert.equal(decodeEntities('&copy2024 Acme &amp Co'), '©2024 Acme & Co');
+  assert.equal(decodeEntities('no entities'), 'no entities');
+});
+
+test('decodeEntities in attributes leaves URL parameters alone', () => {
+  assert.equal(decodeEntities('?region=uk&copy=1&lang=en', { attribute: true }), '?region=uk&copy=1&lang=en');
+  assert.equal(decodeEntities('?a=1&copyright', { attribute: true }), '?a=1&copyright');
+  assert.equal(decodeEntities('?a=1&amp;b=2&lt x', { attribute: true }), '?a=1&b=2< x');
+  assert.equal(parseHtml('<a href="/s?region=uk&copy=1&amp;p=2">x</a>').children[0].attrs.href, '/s?region=uk&copy=1&p=2');
+  // The same text outside an attribute is decoded
+  assert.equal(decodeEntities('&copy=1'), '©=1');
+});
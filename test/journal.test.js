@@ -0,0 +1,113 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { openJournal, readJournal, writeFileAtomic } from '../lib/journal.js';
+import { loadProgress, openStore } from '../lib/store.js';
+import { dirPaths } from '../lib/markets.js';
+
+const root = mkdtempSync(join(tmpdir(), 'bq-journal-'));
+const tempDir = () => mkdtempSync(join(root, 'case-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+test('writeFileAtomic replaces the file and leaves no .tmp behind', () => {
+  const dir = tempDir();
+  const path = join(dir, 'progress.json');
+  writeFileSync(path, '{"old":true}');
+  writeFileAtomic(path, '{"new":true}');
+  assert.equal(readFileSync(path, 'utf-8'), '{"new":true}');
+  assert.deepEqual(readdirSync(dir), ['progress.json']);
+});
+
+test('readJournal returns the appended entries in order', () => {
+  const path = join(tempDir(), 'progress.journal');
+  const journal = openJournal(path);
+  journal.append({ id: 1, status: 'ok' });
+  journal.append({ id: 2, status: 'error', error: 'API HTTP 500' });
+  journal.append({ id: 1, status: null });
+  journal.close();
+
+  const { entries, torn, skipped } = readJournal(path);
+  assert.deepEqual(entries, [{ id: 1, status: 'ok' }, { id: 2, status: 'error', error: 'API HTTP 500' }, { id: 1, status: null }]);
+  assert.equal(torn, false);
+  assert.equal(skipped, 0);
+});
+
+test('readJournal drops a torn last line and truncates it with repair', () => {
+  const path = join(tempDir(), 'progress.journal');
+  writeFileSync(path, '{"id":1,"status":"ok"}\n{"id":2,"sta');
+
+  const read = readJournal(path);
+  assert.deepEqual(read.entries, [{ id: 1, status: 'ok' }]);
+  assert.equal(read.torn, true);
+  assert.equal(readFileSync(path, 'utf-8'), '{"id":1,"status":"ok"}\n{"id":2,"sta');
+
+  readJournal(path, { repair: true });
+  assert.equal(readFileSync(path, 'utf-8'), '{"id":1,"status":"ok"}\n');
+});
+
+test('readJournal skips complete lines that are not JSON', () => {
+  const path = join(tempDir(), 'progress.journal');
+  writeFileSync(path, '{"id":1,"status":"ok"}\n\0\0\0\0\n{"id":2,"status":"empty"}\n');
+  const { entries, torn, skipped } = readJournal(path);
+  assert.deepEqual(entries.map((e) => e.id), [1, 2]);
+  assert.equal(torn, false);
+  assert.equal(skipped, 1);
+});
+
+test('loadProgress replays the journal over progress.json', () => {
+  const paths = dirPaths(tempDir());
+  writeFileSync(paths.progress, JSON.stringify({ 1: { status: 'ok' }, 2: { status: 'error', error: 'timeout' }, 3: { status: 'ok' } }));
+  writeFileSync(paths.journal, ['{"id":2,"status":"ok"}', '{"id":3,"status":null}', '{"id":4,"status":"empty"}', ''].join('\n'));
+
+  const { progress, recovery } = loadProgress(paths);
+  assert.deepEqual(progress, { 1: { status: 'ok' }, 2: { status: 'ok' }, 4: { status: 'empty' } });
+  assert.equal(recovery.replayed, 3);
+  assert.equal(recovery.snapshotRebuilt, false);
+});
+
+test('loadProgress rebuilds a truncated progress.json from sellers.csv', () => {
+  const paths = dirPaths(tempDir());
+  writeFileSync(paths.progress, '{"1":{"status":"ok"},"2":{"sta');
+  writeFileSync(paths.csv, 'sellerId,businessName\n1,Acme Ltd\n5,Widgets plc\n');
+
+  const { progress, recovery } = loadProgress(paths);
+  assert.deepEqual(progress, { 1: { status: 'ok' }, 5: { status: 'ok' } });
+  assert.equal(recovery.snapshotRebuilt, true);
+});
+
+test('the files store survives a crash before compaction and a torn journal line', async () => {
+  const paths = dirPaths(tempDir());
+  const store = await openStore('files', paths);
+  store.put({ sellerId: 1, businessName: 'Acme Ltd', updatedAt: '2026-01-01T00:00:00.000Z' });
+  store.put({ sellerId: 2, updatedAt: '2026-01-01T00:00:00.000Z' });
+  // No close(): the statuses only exist in the journal, then a write is torn
+  assert.equal(existsSync(paths.progress), false);
+  appendFileSync(paths.journal, '{"id":3,"status":"o');
+
+  const reopened = await openStore('files', paths);
+  assert.equal(reopened.recovery.tornLine, true);
+  assert.equal(reopened.get(1).status, 'ok');
+  assert.equal(reopened.get(2).status, 'empty');
+  assert.equal(reopened.get(3), undefined);
+  // The repaired state is compacted straight away
+  assert.deepEqual(Object.keys(JSON.parse(readFileSync(paths.progress, 'utf-8'))), ['1', '2']);
+  assert.equal(readFileSync(paths.journal, 'utf-8'), '');
+  reopened.close();
+});
+
+test('closing the files store folds the journal into progress.json atomically', async () => {
+  const paths = dirPaths(tempDir());
+  const store = await openStore('files', paths);
+  store.put({ sellerId: 7, businessName: 'Acme Ltd', updatedAt: '2026-01-01T00:00:00.000Z' });
+  store.put({ sellerId: 8, error: 'API HTTP 503', updatedAt: '2026-01-01T00:00:00.000Z' });
+  store.close();
+
+  assert.deepEqual(JSON.parse(readFileSync(paths.progress, 'utf-8')), {
+    7: { status: 'ok', updatedAt: '2026-01-01T00:00:00.000Z' },
+    8: { status: 'error', error: 'API HTTP 503', updatedAt: '2026-01-01T00:00:00.000Z' },
+  });
+  assert.equal(readFileSync(paths.journal, 'utf-8'), '');
+  assert.equal(existsSync(`${paths.progress}.tmp`), false);
+});
@@ -0,0 +1,54 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { getMarket, loadMarkets, marketPaths, sellerApiUrl, sellerPageUrl, MARKETS } from '../lib/markets.js';
+
+const root = mkdtempSync(join(tmpdir(), 'bq-markets-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+function marketsFile(entries) {
+  const path = join(root, `markets-${Math.random().toString(36).slice(2)}.json`);
+  writeFileSync(path, JSON.stringify(entries));
+  return path;
+}
+
+const castorama = {
+  name: 'Castorama France',
+  tenant: 'CAFR',
+  sellerUrl: 'https://www.castorama.fr/vendeur/{id}',
+  apiKey: 'test-key',
+  defaultRange: { from: 1, to: 500 },
+};
+
+test('a market from a markets file gets its own tenant, pages and results directory', () => {
+  const markets = loadMarkets(marketsFile({ CAFR: castorama }));
+  const cafr = getMarket('cafr', markets);
+  const bq = getMarket('bq', markets);
+
+  assert.equal(sellerApiUrl(cafr, 42), 'https://api.kingfisher.com/v1/sellers/CAFR/42');
+  assert.equal(sellerPageUrl(cafr, 42), 'https://www.castorama.fr/vendeur/42');
+  assert.deepEqual(cafr.defaultRange, { from: 1, to: 500 });
+
+  const cafrPaths = marketPaths(cafr, 'out');
+  const bqPaths = marketPaths(bq, 'out');
+  assert.equal(cafrPaths.dir, 'out/cafr');
+  assert.equal(cafrPaths.csv, 'out/cafr/sellers.csv');
+  assert.equal(cafrPaths.progress, 'out/cafr/progress.json');
+  for (const key of Object.keys(cafrPaths)) assert.notEqual(cafrPaths[key], bqPaths[key], key);
+});
+
+test('without a markets file only the built-in markets exist', () => {
+  assert.equal(loadMarkets(join(root, 'missing.json')), MARKETS);
+  assert.throws(() => loadMarkets(join(root, 'missing.json'), { required: true }), /doesn't exist/);
+  assert.throws(() => getMarket('cafr'), /Unknown market "cafr"/);
+});
+
+test('markets file entries are checked', () => {
+  assert.throws(() => loadMarkets(marketsFile({ cafr: { ...castorama, sellerUrl: 'https://www.castorama.fr/vendeur/' } })), /\{id\} placeholder/);
+  assert.throws(() => loadMarkets(marketsFile({ cafr: { ...castorama, tenant: 'ca fr' } })), /"tenant"/);
+  assert.throws(() => loadMarkets(marketsFile({ cafr: { ...castorama, defaultRange: { from: 10, to: 1 } } })), /"defaultRange"/);
+  assert.throws(() => loadMarkets(marketsFile({ 'ca/fr': castorama })), /results directory/);
+  assert.throws(() => loadMarkets(marketsFile({ cafr: { ...castorama, apiKey: undefined } })), /KINGFISHER_API_KEY_CAFR/);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeShards } from '../lib/merge.js';
+
+function shard(label, observations) {
+  const entries = new Map();
+  const records = new Map();
+  for (const { sellerId, record, ...entry } of observations) {
+    entries.set(sellerId, entry);
+    if (record) records.set(sellerId, { sellerId, ...record });
+  }
+  return { label, entries, records };
+}
+
+const acme = { businessName: 'Acme Ltd', vatNumber: 'GB319805838', registeredAddress: '1 High St, Leeds', shippedFrom: 'United Kingdom' };
+
+test('a successful observation beats an error, whatever its age', () => {
+  const { merged, conflicts } = mergeShards([
+    shard('a', [{ sellerId: 1, status: 'ok', updatedAt: '2026-01-01T00:00:00Z', record: acme }]),
+    shard('b', [{ sellerId: 1, status: 'error', error: 'API HTTP 500', updatedAt: '2026-03-01T00:00:00Z' }]),
+  ]);
+  assert.equal(merged[0].from, 'a');
+  assert.equal(merged[0].status, 'ok');
+  assert.deepEqual(conflicts, []);
+});
+
+test('the most recent successful observation wins and a disagreement is a conflict', () => {
+  const renamed = { ...acme, businessName: 'Acme Trading Ltd' };
+  const { merged, conflicts, summary } = mergeShards([
+    shard('a', [{ sellerId: 1, status: 'ok', updatedAt: '2026-01-01T00:00:00Z', record: acme }]),
+    shard('b', [{ sellerId: 1, status: 'ok', updatedAt: '2026-02-01T00:00:00Z', record: renamed }]),
+  ]);
+  assert.equal(merged[0].from, 'b');
+  assert.equal(merged[0].record.businessName, 'Acme Trading Ltd');
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].kept, 'b');
+  assert.deepEqual(conflicts[0].differences, ['businessName']);
+  assert.equal(summary.overlaps, 1);
+});
+
+test('ok in one shard and empty in another is a status conflict', () => {
+  const { merged, conflicts } = mergeShards([
+    shard('a', [{ sellerId: 1, status: 'ok', updatedAt: '2026-02-01T00:00:00Z', record: acme }]),
+    shard('b', [{ sellerId: 1, status: 'empty', updatedAt: '2026-01-01T00:00:00Z' }]),
+  ]);
+  assert.equal(merged[0].status, 'ok');
+  assert.deepEqual(conflicts[0].differences, ['status']);
+});
+
+test('ties and missing timestamps go to the earlier shard', () => {
+  const { merged } = mergeShards([
+    shard('a', [
+      { sellerId: 1, status: 'ok', record: acme },
+      { sellerId: 2, status: 'empty', updatedAt: '2026-01-01T00:00:00Z' },
+    ]),
+    shard('b', [
+      { sellerId: 1, status: 'ok', record: acme },
+      { sellerId: 2, status: 'empty', updatedAt: '2026-01-01T00:00:00Z' },
+    ]),
+  ]);
+  assert.deepEqual(merged.map((o) => o.from), ['a', 'a']);
+});
+
+test('identical overlaps are not conflicts; ok without a record is left out', () => {
+  const { merged, conflicts, summary } = mergeShards([
+    shard('a', [
+      { sellerId: 1, status: 'ok', updatedAt: '2026-01-01T00:00:00Z', record: acme },
+      { sellerId: 3, status: 'ok' },
+    ]),
+    shard('b', [
+      { sellerId: 1, status: 'ok', updatedAt: '2026-02-01T00:00:00Z', record: { ...acme, businessName: ' Acme Ltd ' } },
+      { sellerId: 2, status: 'error', error: 'timeout' },
+    ]),
+  ]);
+  assert.deepEqual(merged.map((o) => o.sellerId), [1, 2]);
+  assert.deepEqual(conflicts, []);
+  assert.equal(summary.missingRecords, 1);
+  assert.deepEqual([summary.ok, summary.empty, summary.error], [1, 0, 1]);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScrapeMetrics, serveMetrics } from '../lib/metrics.js';
+
+test('the metrics server listens on the loopback interface unless told otherwise', async () => {
+  const metrics = createScrapeMetrics({ labels: { market: 'bq' } });
+  metrics.setPending(2);
+  metrics.started(3958);
+  metrics.attempt({ sellerId: 3958, request: 'API', httpStatus: 200, latencyMs: 120 });
+  metrics.result(3958, 'ok');
+
+  const server = await serveMetrics(metrics, { port: 0 });
+  try {
+    const { address, port } = server.address();
+    assert.equal(address, '127.0.0.1');
+
+    const resp = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.equal(resp.status, 200);
+    assert.match(await resp.text(), /^bq_scraper_results_total\{market="bq",status="ok"\} 1$/m);
+    assert.equal((await (await fetch(`http://127.0.0.1:${port}/healthz`)).json()).pending, 1);
+    assert.equal((await fetch(`http://127.0.0.1:${port}/other`)).status, 404);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('an explicit host is used as given', async () => {
+  const server = await serveMetrics(createScrapeMetrics(), { port: 0, host: '0.0.0.0' });
+  try {
+    assert.equal(server.address().address, '0.0.0.0');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
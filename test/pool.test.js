@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPool } from '../lib/pool.js';
+
+// Let pending promise callbacks run
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/** A worker whose tasks finish only when the test says so. */
+function controlledWorker() {
+  const running = new Map();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const started = [];
+  return {
+    started,
+    get inFlight() {
+      return inFlight;
+    },
+    get maxInFlight() {
+      return maxInFlight;
+    },
+    worker(item) {
+      started.push(item);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return new Promise((resolve) => running.set(item, () => {
+        inFlight--;
+        resolve(`done ${item}`);
+      }));
+    },
+    finish(item) {
+      running.get(item)();
+      running.delete(item);
+    },
+  };
+}
+
+test('keeps at most `concurrency` tasks in flight and refills a slot as soon as it frees up', async () => {
+  const w = controlledWorker();
+  const results = [];
+  const run = runPool([1, 2, 3, 4, 5], w.worker, { concurrency: 2, onResult: (r) => results.push(r) });
+
+  await settle();
+  assert.deepEqual(w.started, [1, 2]);
+
+  // A slow task doesn't hold the others back: 2 finishing starts 3 while 1 is still running
+  w.finish(2);
+  await settle();
+  assert.deepEqual(w.started, [1, 2, 3]);
+  assert.equal(w.inFlight, 2);
+
+  for (const item of [3, 1, 4, 5]) {
+    w.finish(item);
+    await settle();
+  }
+  await run;
+  assert.equal(w.maxInFlight, 2);
+  assert.deepEqual(results, ['done 2', 'done 3', 'done 1', 'done 4', 'done 5']);
+});
+
+test('shouldStop takes no new items but lets the tasks in flight finish', async () => {
+  const w = controlledWorker();
+  let stop = false;
+  const results = [];
+  const run = runPool([1, 2, 3, 4, 5, 6], w.worker, {
+    concurrency: 3,
+    onResult: (r) => results.push(r),
+    shouldStop: () => stop,
+  });
+
+  await settle();
+  stop = true;
+  for (const item of [1, 2, 3]) {
+    w.finish(item);
+    await settle();
+  }
+  await run;
+  assert.deepEqual(w.started, [1, 2, 3]);
+  assert.deepEqual(results, ['done 1', 'done 2', 'done 3']);
+});
+
+test('onResult is awaited before the worker takes its next item', async () => {
+  const order = [];
+  await runPool([1, 2], async (item) => {
+    order.push(`work ${item}`);
+    return item;
+  }, {
+    concurrency: 1,
+    onResult: async (item) => {
+      await settle();
+      order.push(`saved ${item}`);
+    },
+  });
+  assert.deepEqual(order, ['work 1', 'saved 1', 'work 2', 'saved 2']);
+});
+
+test('an empty list or a concurrency above the item count is fine', async () => {
+  const seen = [];
+  await runPool([], async (item) => seen.push(item), { concurrency: 4 });
+  await runPool([1, 2], async (item) => seen.push(item), { concurrency: 10 });
+  assert.deepEqual(seen, [1, 2]);
+});
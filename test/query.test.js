@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilter, parseSort, queryColumns, queryRecords } from '../lib/query.js';
+
+const RECORDS = [
+  { sellerId: '3', businessName: 'Acme Trading Ltd', shippedFromIso2: 'GB', vatNumber: 'GB123456789', parseConfidence: '0.9' },
+  { sellerId: '10', businessName: 'widgets GmbH', shippedFromIso2: 'DE', vatNumber: '', parseConfidence: '0.45' },
+  { sellerId: '2', businessName: 'Zeta Homewares LTD', shippedFromIso2: 'gb ', vatNumber: 'TBC', parseConfidence: '' },
+  { sellerId: '7', businessName: 'Ångström Tools', shippedFromIso2: 'SE', vatNumber: null, parseConfidence: '1' },
+];
+
+const ids = (records) => records.map((r) => r.sellerId);
+const where = (...exprs) => ids(queryRecords(RECORDS, { filters: exprs.map(parseFilter) }));
+
+test('= and != compare case-insensitively, ignoring surrounding spaces', () => {
+  assert.deepEqual(where('shippedFromIso2=gb'), ['3', '2']);
+  assert.deepEqual(where('shippedFromIso2 != GB'), ['10', '7']);
+  assert.deepEqual(where('businessName=ACME TRADING LTD'), ['3']);
+  assert.deepEqual(where('vatNumber='), ['10', '7']);
+});
+
+test('~ and !~ test for a substring or a regular expression', () => {
+  assert.deepEqual(where('businessName~ltd'), ['3', '2']);
+  assert.deepEqual(where('businessName!~ltd'), ['10', '7']);
+  assert.deepEqual(where('vatNumber~/^GB\\d{9}$/'), ['3']);
+  assert.deepEqual(where('businessName~/ltd$/'), []);
+  assert.deepEqual(where('businessName~/ltd$/i'), ['3', '2']);
+  assert.deepEqual(where('businessName!~/^[a-z]/i'), ['7']);
+  // g/y flags would make RegExp#test stateful across records
+  assert.deepEqual(where('businessName~/ltd/gi'), ['3', '2']);
+  assert.throws(() => parseFilter('businessName~/(/'), /Invalid regular expression in --where "businessName~\/\(\/"/);
+});
+
+test('a bare column means it has a value, !col that it is blank', () => {
+  assert.deepEqual(where('vatNumber'), ['3', '2']);
+  assert.deepEqual(where('!vatNumber'), ['10', '7']);
+  assert.deepEqual(where('!parseConfidence'), ['2']);
+  // Every filter has to match
+  assert.deepEqual(where('vatNumber', 'businessName~acme'), ['3']);
+});
+
+test('filters name a record column or an API attribute path', () => {
+  assert.equal(parseFilter('attributes.sellerName~shop').column, 'attributes.sellerName');
+  assert.deepEqual(
+    ids(queryRecords([{ sellerId: '1', 'attributes.sellerName': { en: 'Shop' } }], { filters: [parseFilter('attributes.sellerName~shop')] })),
+    ['1'],
+  );
+  assert.throws(() => parseFilter('colour=red'), /Unknown column "colour" in colour=red/);
+  assert.throws(() => parseFilter('=red'), /Invalid --where "=red"/);
+});
+
+test('sorting compares numbers as numbers, text alphabetically, blanks last', () => {
+  const sorted = (spec) => ids(queryRecords(RECORDS, { sort: parseSort(spec) }));
+  assert.deepEqual(sorted('sellerId'), ['2', '3', '7', '10']);
+  assert.deepEqual(sorted('-sellerId'), ['10', '7', '3', '2']);
+  assert.deepEqual(sorted('businessName'), ['3', '7', '10', '2']);
+  assert.deepEqual(sorted('parseConfidence'), ['10', '3', '7', '2']);
+  assert.deepEqual(sorted('-parseConfidence'), ['7', '3', '10', '2']);
+  assert.deepEqual(sorted('shippedFromIso2,-sellerId'), ['10', '3', '2', '7']);
+  assert.throws(() => parseSort('-colour'), /Unknown column "colour" in --sort -colour/);
+});
+
+test('limit applies after filtering and sorting, and the input is left alone', () => {
+  const before = ids(RECORDS);
+  const result = queryRecords(RECORDS, { filters: [parseFilter('vatNumber')], sort: parseSort('-sellerId'), limit: 1 });
+  assert.deepEqual(ids(result), ['3']);
+  assert.deepEqual(ids(queryRecords(RECORDS, { limit: 0 })), []);
+  assert.deepEqual(ids(RECORDS), before);
+});
+
+test('queryColumns lists the columns filters and sorts read', () => {
+  const filters = ['vatNumber', 'businessName~ltd'].map(parseFilter);
+  assert.deepEqual(queryColumns({ filters, sort: parseSort('businessName,-sellerId') }), ['vatNumber', 'businessName', 'sellerId']);
+  assert.deepEqual(queryColumns({}), []);
+});
@@ -0,0 +1,101 @@
+import { beforeEach, afterEach, test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../lib/rate-limit.js';
+
+// A fake clock; it starts well past 0 so the first throttle isn't inside a cooldown window
+const T0 = 1_000_000;
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'], now: T0 }));
+afterEach(() => mock.timers.reset());
+
+// Let resolved acquire() promises run their callbacks
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+/** acquire() `count` times; returns the array of grant times (ms since T0), filled as they happen. */
+function acquireMany(limiter, count) {
+  const granted = [];
+  for (let i = 0; i < count; i++) limiter.acquire().then(() => granted.push(Date.now() - T0), () => {});
+  return granted;
+}
+
+test('the token bucket grants one request straight away, then one per 1/rate seconds', async () => {
+  const limiter = createRateLimiter({ rate: 10 });
+  const granted = acquireMany(limiter, 3);
+  await settle();
+  assert.deepEqual(granted, [0]);
+  assert.equal(limiter.pending, 2);
+
+  mock.timers.tick(100);
+  await settle();
+  mock.timers.tick(100);
+  await settle();
+  assert.deepEqual(granted, [0, 100, 200]);
+  assert.equal(limiter.pending, 0);
+});
+
+test('the bucket is shared: waiting callers are served in order at the one rate', async () => {
+  const limiter = createRateLimiter({ rate: 4 });
+  const a = acquireMany(limiter, 2);
+  const b = acquireMany(limiter, 2);
+  await settle();
+  for (let i = 0; i < 3; i++) {
+    mock.timers.tick(250);
+    await settle();
+  }
+  assert.deepEqual([...a, ...b], [0, 250, 500, 750]);
+});
+
+test('throttle halves the rate once per cooldown window and pauses the bucket', async () => {
+  const changes = [];
+  const limiter = createRateLimiter({ rate: 8, cooldownMs: 1000, onChange: (c) => changes.push(c) });
+  await limiter.acquire();
+
+  limiter.throttle(2000);
+  limiter.throttle(2000); // a parallel 429 in the same window
+  assert.equal(limiter.rate, 4);
+  assert.deepEqual(changes, [{ previous: 8, rate: 4, pauseMs: 2000 }]);
+
+  const granted = acquireMany(limiter, 1);
+  mock.timers.tick(1999);
+  await settle();
+  assert.deepEqual(granted, []);
+  mock.timers.tick(1 + 250);
+  await settle();
+  assert.equal(granted.length, 1);
+
+  limiter.throttle(0);
+  assert.equal(limiter.rate, 2);
+});
+
+test('throttle never goes below minRate', () => {
+  const limiter = createRateLimiter({ rate: 1, minRate: 0.4, cooldownMs: 0 });
+  for (let i = 0; i < 5; i++) {
+    mock.timers.tick(1);
+    limiter.throttle();
+  }
+  assert.equal(limiter.rate, 0.4);
+});
+
+test('success climbs back additively, up to maxRate', () => {
+  const limiter = createRateLimiter({ rate: 2, maxRate: 3, increase: 0.5 });
+  limiter.success();
+  assert.equal(limiter.rate, 2.25);
+  for (let i = 0; i < 100; i++) limiter.success();
+  assert.equal(limiter.rate, 3);
+});
+
+test('an aborted acquire rejects with the reason and leaves the queue', async () => {
+  const limiter = createRateLimiter({ rate: 1 });
+  await limiter.acquire();
+  const controller = new AbortController();
+  const waiting = limiter.acquire(controller.signal);
+  assert.equal(limiter.pending, 1);
+  controller.abort(new Error('shutdown'));
+  await assert.rejects(waiting, /shutdown/);
+  assert.equal(limiter.pending, 0);
+  await assert.rejects(limiter.acquire(controller.signal), /shutdown/);
+});
+
+test('a ceiling below the starting rate is rejected', () => {
+  assert.throws(() => createRateLimiter({ rate: 5, maxRate: 2 }), /below the target/);
+  assert.throws(() => createRateLimiter({ rate: 0 }), /must be positive/);
+});
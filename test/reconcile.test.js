@@ -0,0 +1,47 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { openStore } from '../lib/store.js';
+import { dirPaths } from '../lib/markets.js';
+import { CSV_COLUMNS, parseCsvRecords } from '../lib/csv.js';
+
+function row(sellerId, businessName) {
+  return CSV_COLUMNS.map((c) => (c === 'sellerId' ? sellerId : c === 'businessName' ? businessName : '')).join(',');
+}
+
+test('reconcile keeps the latest row per ok seller and lines the statuses up with sellers.csv', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'bq-reconcile-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  const paths = dirPaths(dir);
+  writeFileSync(paths.progress, JSON.stringify({
+    1: { status: 'ok' },
+    2: { status: 'empty' },
+    3: { status: 'ok' },
+    4: { status: 'ok' },
+  }));
+  writeFileSync(paths.csv, [
+    CSV_COLUMNS.join(','),
+    row(1, 'Acme Ltd'),
+    row(1, 'Acme Limited'), // re-fetched: the later row wins
+    row(2, 'Gone Ltd'), // now empty
+    row(3, 'Widgets plc'),
+    row(5, 'Crashed Ltd'), // row written, status never journalled
+    '',
+  ].join('\n'));
+
+  const store = await openStore('files', paths);
+  const counts = store.reconcile();
+  store.close();
+
+  assert.deepEqual(counts, { rows: 5, kept: 3, duplicates: 1, dropped: 1, adopted: 1, missing: 1 });
+  const rows = parseCsvRecords(readFileSync(paths.csv, 'utf-8'));
+  assert.deepEqual(rows.map((r) => [r.sellerId, r.businessName]), [['1', 'Acme Limited'], ['3', 'Widgets plc'], ['5', 'Crashed Ltd']]);
+
+  const progress = JSON.parse(readFileSync(paths.progress, 'utf-8'));
+  assert.equal(progress[5].status, 'ok');
+  // ok without a row: unmarked, so the next scan fetches it again
+  assert.equal(progress[4], undefined);
+  assert.equal(progress[2].status, 'empty');
+});
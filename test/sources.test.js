@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scrapeSellerApi } from '../lib/sources.js';
+import { getMarket } from '../lib/markets.js';
+
+const market = getMarket('bq');
+
+/** A fetch that never answers, but rejects with the signal's reason once aborted (like the real one). */
+function hangingFetch(calls = []) {
+  return (url, init) => {
+    calls.push(init.signal);
+    return new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+    });
+  };
+}
+
+test('an attempt that outlives timeoutMs is aborted and reported as a retryable timeout', async () => {
+  const run = new AbortController();
+  const attempts = [];
+  const calls = [];
+  const result = await scrapeSellerApi(3958, market, {
+    timeoutMs: 20,
+    signal: run.signal,
+    fetch: hangingFetch(calls),
+    onAttempt: (info) => {
+      attempts.push(info);
+      // Stop instead of sleeping through the retry delay
+      run.abort(new Error('shutdown'));
+    },
+  });
+
+  assert.equal(calls[0].aborted, true);
+  assert.equal(calls[0].reason.name, 'TimeoutError');
+  assert.equal(attempts.length, 1);
+  assert.equal(attempts[0].outcome, 'timeout');
+  assert.equal(attempts[0].retrying, true);
+  assert.match(attempts[0].error, /API timed out after 20ms/);
+  assert.deepEqual(result, { sellerId: 3958, aborted: true });
+});
+
+test('aborting the run cancels the request in flight without retrying or reporting it', async () => {
+  const run = new AbortController();
+  const attempts = [];
+  const calls = [];
+  const pending = scrapeSellerApi(3958, market, {
+    timeoutMs: 60000,
+    signal: run.signal,
+    fetch: hangingFetch(calls),
+    onAttempt: (info) => attempts.push(info),
+  });
+  await new Promise((resolve) => setImmediate(resolve));
+  run.abort(new Error('shutdown'));
+
+  assert.deepEqual(await pending, { sellerId: 3958, aborted: true });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].reason.message, 'shutdown');
+  assert.deepEqual(attempts, []);
+});
+
+test('a run already aborted sends no request', async () => {
+  const run = new AbortController();
+  run.abort();
+  const calls = [];
+  assert.deepEqual(await scrapeSellerApi(1, market, { signal: run.signal, fetch: hangingFetch(calls) }), { sellerId: 1, aborted: true });
+  assert.equal(calls.length, 0);
+});
+
+test('an error marked retryable: false fails at once', async () => {
+  const attempts = [];
+  let calls = 0;
+  const result = await scrapeSellerApi(3958, market, {
+    fetch: async () => {
+      calls++;
+      throw Object.assign(new Error('No recorded response for GET …/3958'), { retryable: false });
+    },
+    onAttempt: (info) => attempts.push(info),
+  });
+
+  assert.equal(calls, 1);
+  assert.deepEqual(result, { sellerId: 3958, error: 'No recorded response for GET …/3958' });
+  assert.equal(attempts[0].outcome, 'error');
+  assert.equal(attempts[0].retrying, false);
+});
+
+test('a response within the timeout clears it; 404 is an empty result', async () => {
+  const attempts = [];
+  const result = await scrapeSellerApi(3958, market, {
+    timeoutMs: 50,
+    fetch: async () => new Response('', { status: 404 }),
+    onAttempt: (info) => attempts.push(info),
+  });
+  assert.equal(result.businessName, '');
+  assert.equal(result.source, 'api');
+  assert.equal(attempts[0].outcome, 'not-found');
+  assert.equal(attempts[0].httpStatus, 404);
+
+  // The test process would hang on a leftover 60s timer
+  const ok = await scrapeSellerApi(3958, market, {
+    timeoutMs: 60000,
+    fetch: async () => Response.json({ data: { attributes: { corporateName: 'MEYER GROUP LIMITED', shippingCountry: 'GBR' } } }),
+  });
+  assert.equal(ok.businessName, 'MEYER GROUP LIMITED');
+});
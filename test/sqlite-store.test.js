@@ -0,0 +1,55 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { openSqliteStore } from '../lib/store.js';
+import { dirPaths } from '../lib/markets.js';
+import { CSV_COLUMNS, parseCsvRecords } from '../lib/csv.js';
+
+// node:sqlite is unflagged from Node 22.13
+const sqlite = await import('node:sqlite').then(() => true, () => false);
+
+const root = mkdtempSync(join(tmpdir(), 'bq-sqlite-'));
+after(() => rmSync(root, { recursive: true, force: true }));
+
+function legacyResults() {
+  const paths = dirPaths(mkdtempSync(join(root, 'case-')));
+  const row = (id, name) => CSV_COLUMNS.map((c) => (c === 'sellerId' ? id : c === 'businessName' ? name : '')).join(',');
+  writeFileSync(paths.csv, [CSV_COLUMNS.join(','), row(1, 'Acme Ltd'), row(2, 'Widgets plc'), ''].join('\n'));
+  writeFileSync(paths.progress, JSON.stringify({ 1: { status: 'ok' }, 2: { status: 'ok' }, 3: { status: 'empty' } }));
+  return paths;
+}
+
+test('an empty sellers.db next to files-store results refuses to start', { skip: !sqlite && 'needs node:sqlite' }, async () => {
+  const paths = legacyResults();
+  await assert.rejects(openSqliteStore(paths), /run "node scrape\.mjs import" first/);
+  assert.equal(existsSync(paths.db), false);
+  assert.equal(parseCsvRecords(readFileSync(paths.csv, 'utf-8')).length, 2);
+});
+
+test('after import, a scan exports every seller back to sellers.csv', { skip: !sqlite && 'needs node:sqlite' }, async () => {
+  const paths = legacyResults();
+  const importer = await openSqliteStore(paths, { importing: true });
+  importer.importLegacy(paths);
+  importer.close();
+
+  const store = await openSqliteStore(paths);
+  store.put({ sellerId: 4, businessName: 'New Seller Ltd' });
+  store.checkpoint();
+  store.exportCsv();
+  store.close();
+  assert.deepEqual(parseCsvRecords(readFileSync(paths.csv, 'utf-8')).map((r) => r.sellerId), ['1', '2', '4']);
+});
+
+test('exportCsv never writes over sellers the database has not seen', { skip: !sqlite && 'needs node:sqlite' }, async () => {
+  const paths = dirPaths(mkdtempSync(join(root, 'case-')));
+  const store = await openSqliteStore(paths);
+  store.put({ sellerId: 1, businessName: 'Acme Ltd' });
+  store.checkpoint();
+  const other = join(root, 'other.csv');
+  writeFileSync(other, 'sellerId,businessName\n9,Someone Else Ltd\n');
+  assert.throws(() => store.exportCsv(other), /aren't in .*sellers\.db/);
+  assert.equal(readFileSync(other, 'utf-8'), 'sellerId,businessName\n9,Someone Else Ltd\n');
+  store.close();
+});
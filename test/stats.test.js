@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatStats, sellerStats } from '../lib/stats.js';
+
+const ADDRESS = { street1: '1 High St', city: 'Leeds', postCode: 'LS1 1AA', country: 'GB' };
+const TBC = { street1: 'TBC', city: 'tbc', postCode: '', country: 'TBC' };
+
+const RECORDS = [
+  // Files-store rows: flags as text, addressSource stored
+  { sellerId: '1', shippedFromIso2: 'GB', addressCountryIso2: 'GB', taxIdNormalized: 'GB123456789', taxIdType: 'vat', taxIdValid: 'true', registeredAddress: '1 High St, Leeds', addressSource: 'corporate' },
+  { sellerId: '2', shippedFromIso2: 'GB', addressCountryIso2: 'GB', taxIdNormalized: 'GB123456780', taxIdType: 'vat', taxIdValid: 'false', registeredAddress: '2 Low Rd', addressSource: 'contact' },
+  // SQLite rows: booleans, and the raw API blocks for an older row
+  { sellerId: '3', shippedFromIso2: 'DE', addressCountryIso2: 'DE', taxIdNormalized: 'DE136695976', taxIdType: 'vat', taxIdValid: true, registeredAddress: 'Berlin', 'attributes.corporateContactInformation': TBC, 'attributes.contactInformation': ADDRESS },
+  { sellerId: '4', shippedFrom: 'Atlantis', taxIdNormalized: 'PT123456789', taxIdType: 'vat', taxIdValid: '', registeredAddress: 'Somewhere', 'attributes.corporateContactInformation': ADDRESS },
+  { sellerId: '5', shippedFromIso2: 'GB', taxIdNormalized: '01234567', taxIdType: 'company', registeredAddress: '' },
+  { sellerId: '6', shippedFromIso2: 'FR', taxIdNormalized: 'XYZ', taxIdType: '', registeredAddress: 'Old row, no raw' },
+  { sellerId: '7', taxIdNormalized: '  ', registeredAddress: 'Archived row' },
+];
+
+test('counts sellers by country, most common first, ties alphabetically', () => {
+  const stats = sellerStats(RECORDS);
+  assert.equal(stats.sellers, 7);
+  assert.deepEqual(stats.shippedFrom, [
+    { value: 'GB', count: 3 },
+    { value: '', count: 1 },
+    { value: 'Atlantis', count: 1 },
+    { value: 'DE', count: 1 },
+    { value: 'FR', count: 1 },
+  ]);
+  assert.deepEqual(stats.addressCountry[0], { value: '', count: 4 });
+});
+
+test('tax IDs are split by type and checksum result, whichever store the flag came from', () => {
+  assert.deepEqual(sellerStats(RECORDS).taxIds, {
+    vatValid: 2,
+    vatInvalid: 1,
+    vatUnchecked: 1,
+    companyNumber: 1,
+    unrecognised: 1,
+    missing: 1,
+  });
+});
+
+test('address source comes from the stored column, else the raw response, else the archive', () => {
+  assert.deepEqual(sellerStats(RECORDS).addressSource, { corporate: 2, tbcFallback: 2, noAddress: 1, unknown: 2 });
+
+  const archive = new Map([[7, { raw: { data: { attributes: { corporateContactInformation: ADDRESS } } } }]]);
+  assert.deepEqual(sellerStats(RECORDS, { archive }).addressSource, { corporate: 3, tbcFallback: 2, noAddress: 1, unknown: 1 });
+});
+
+test('formatStats prints counts with percentages and country names', () => {
+  const text = formatStats(sellerStats(RECORDS));
+  assert.match(text, /^Sellers: 7\n/);
+  assert.match(text, /\n {2}GB United Kingdom +3 +42\.9%\n/);
+  assert.match(text, /\n {2}\(blank\) +1 +14\.3%\n/);
+  assert.match(text, /\n {2}Atlantis +1 +14\.3%/);
+  assert.match(text, /\n {2}With a VAT number +4 +57\.1%\n/);
+  assert.match(text, /re-fetch them, or keep raw responses/);
+
+  assert.match(formatStats(sellerStats([])), /Sellers: 0\n[\s\S]*Missing \(blank or placeholder\) +0 +0\.0%/);
+  assert.doesNotMatch(formatStats(sellerStats([])), /re-fetch/);
+});
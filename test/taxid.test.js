@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyTaxId, isDummyTaxId, taxIdColumns } from '../lib/taxid.js';
+
+// Published, real VAT numbers: each must pass its country's checksum
+const VALID = [
+  'GB319805838',
+  'GB304302658',
+  'DE136695976',
+  'FR40303265045',
+  'IT00743110157',
+  'ESA28015865',
+  'NL004495445B01',
+  'BE0428759497',
+  'IE6388047V',
+  'PL5260250995',
+  'ATU13585627',
+];
+
+test('VAT checksums accept real numbers', () => {
+  for (const value of VALID) {
+    const result = classifyTaxId(value);
+    assert.equal(result.type, 'vat', value);
+    assert.equal(result.valid, true, value);
+  }
+});
+
+test('VAT checksums reject a changed check digit', () => {
+  const changed = [
+    'GB319805839',
+    'DE136695977',
+    'FR40303265046',
+    'IT00743110158',
+    'ESA28015866',
+    'NL004495446B01',
+    'BE0428759498',
+    'IE6388047W',
+    'PL5260250996',
+    'ATU13585628',
+  ];
+  for (const value of changed) {
+    const result = classifyTaxId(value);
+    assert.equal(result.type, 'vat', value);
+    assert.equal(result.valid, false, value);
+  }
+});
+
+test('countries without a checksum here are format-checked only', () => {
+  assert.deepEqual(classifyTaxId('PT123456789'), { type: 'vat', normalized: 'PT123456789', valid: null, country: 'PT' });
+});
+
+test('bare values are read in the seller\'s country', () => {
+  assert.deepEqual(classifyTaxId('918 2665 05', { country: 'United Kingdom' }), {
+    type: 'vat',
+    normalized: 'GB918266505',
+    valid: true,
+    country: 'GB',
+  });
+  assert.equal(classifyTaxId('918266505').type, 'unknown');
+  assert.deepEqual(classifyTaxId('136695976', { country: 'DEU' }).normalized, 'DE136695976');
+});
+
+test('UK company numbers and placeholders', () => {
+  assert.deepEqual(classifyTaxId('SC432199'), { type: 'company', normalized: 'SC432199', valid: true, country: 'GB' });
+  assert.equal(classifyTaxId('4502168', { country: 'GB' }).normalized, '04502168');
+  for (const value of ['N/A', 'TBC', 'not vat registered', '']) {
+    assert.deepEqual(classifyTaxId(value), { type: 'unknown', normalized: '', valid: null, country: '' }, value);
+  }
+});
+
+test('taxIdColumns takes the country from the address, then the shipping country', () => {
+  assert.deepEqual(taxIdColumns({ vatNumber: '918266505', registeredAddress: '1 High St, Leeds, LS1 1AA, United Kingdom' }), {
+    taxIdType: 'vat',
+    taxIdNormalized: 'GB918266505',
+    taxIdValid: true,
+  });
+  assert.equal(taxIdColumns({ vatNumber: '136695976', registeredAddress: '', shippedFrom: 'Germany' }).taxIdNormalized, 'DE136695976');
+  assert.deepEqual(taxIdColumns({ vatNumber: '' }), { taxIdType: '', taxIdNormalized: '', taxIdValid: '' });
+});
+
+test('isDummyTaxId spots filler numbers, not real ones', () => {
+  for (const value of ['GB000000000', 'GB999999999', 'GB123456789', 'DE987654321', '00000000', '1234567']) {
+    assert.equal(isDummyTaxId(value), true, value);
+  }
+  for (const value of ['GB918266505', 'DE136695976', 'GB12345', 'SC432199', '', null]) {
+    assert.equal(isDummyTaxId(value), false, String(value));
+  }
+});